@@ -0,0 +1,237 @@
+const { PgormError } = require('./errors');
+
+// column types of the declarative definition, mapped to SQL types and JS type checks
+const columnTypes = {
+  string: { sql: 'VARCHAR', kind: 'string', defaultLength: 255 },
+  varchar: { sql: 'VARCHAR', kind: 'string' },
+  char: { sql: 'CHAR', kind: 'string' },
+  text: { sql: 'TEXT', kind: 'string' },
+  smallint: { sql: 'SMALLINT', kind: 'integer' },
+  integer: { sql: 'INTEGER', kind: 'integer' },
+  int: { sql: 'INTEGER', kind: 'integer' },
+  bigint: { sql: 'BIGINT', kind: 'bigint' },
+  real: { sql: 'REAL', kind: 'number' },
+  float: { sql: 'DOUBLE PRECISION', kind: 'number' },
+  double: { sql: 'DOUBLE PRECISION', kind: 'number' },
+  numeric: { sql: 'NUMERIC', kind: 'numeric' },
+  decimal: { sql: 'NUMERIC', kind: 'numeric' },
+  boolean: { sql: 'BOOLEAN', kind: 'boolean' },
+  date: { sql: 'DATE', kind: 'date' },
+  timestamp: { sql: 'TIMESTAMP', kind: 'date' },
+  timestamptz: { sql: 'TIMESTAMPTZ', kind: 'date' },
+  time: { sql: 'TIME', kind: 'string' },
+  json: { sql: 'JSON', kind: 'any' },
+  jsonb: { sql: 'JSONB', kind: 'any' },
+  uuid: { sql: 'UUID', kind: 'uuid' },
+  bytea: { sql: 'BYTEA', kind: 'buffer' },
+};
+
+const uuidRegex =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// checks of JS values against the kind of column type
+const kindChecks = {
+  string: (val) => typeof val === 'string',
+  integer: (val) => Number.isInteger(val),
+  // pg returns bigint as string, so both are accepted
+  bigint: (val) =>
+    Number.isInteger(val) ||
+    typeof val === 'bigint' ||
+    (typeof val === 'string' && /^-?\d+$/.test(val)),
+  number: (val) => typeof val === 'number' && !Number.isNaN(val),
+  numeric: (val) =>
+    (typeof val === 'number' && !Number.isNaN(val)) ||
+    (typeof val === 'string' && /^-?\d+(\.\d+)?$/.test(val)),
+  boolean: (val) => typeof val === 'boolean',
+  date: (val) =>
+    (val instanceof Date && !Number.isNaN(val.getTime())) ||
+    (typeof val === 'string' && !Number.isNaN(Date.parse(val))),
+  uuid: (val) => typeof val === 'string' && uuidRegex.test(val),
+  buffer: (val) => Buffer.isBuffer(val),
+  any: () => true,
+};
+
+const kindNames = {
+  string: 'a string',
+  integer: 'an integer',
+  bigint: 'an integer',
+  number: 'a number',
+  numeric: 'a number',
+  boolean: 'a boolean',
+  date: 'a date',
+  uuid: 'a uuid',
+  buffer: 'a buffer',
+};
+
+// length applies to these types only
+const sizedTypes = ['VARCHAR', 'CHAR'];
+
+// length of the column, if its type can have length
+const columnLength = (column, type) =>
+  sizedTypes.includes(type.sql)
+    ? column.length || type.defaultLength
+    : undefined;
+
+// converts JS value to SQL literal for DEFAULT
+function toLiteral(val) {
+  if (val === null) return 'NULL';
+  if (typeof val === 'number') return String(val);
+  if (typeof val === 'boolean') return val ? 'TRUE' : 'FALSE';
+  if (val instanceof Date) val = val.toISOString();
+  else if (typeof val === 'object') val = JSON.stringify(val);
+  return `'${String(val).replace(/'/g, "''")}'`;
+}
+
+// table and column referred by the references option
+function referenceTarget(references) {
+  // model i.e. references: Users
+  if (typeof references === 'object' && references.tableName) {
+    return { table: references.tableName, column: references.pkName };
+  }
+  // table name i.e. references: 'users'
+  if (typeof references === 'string') {
+    return { table: references, column: 'id' };
+  }
+  // i.e. references: { table: 'users', column: 'uuid' }
+  return { table: references.table, column: references.column || 'id' };
+}
+
+/**
+ * Checks if column is defined using declarative definition i.e. `{ type: 'varchar' }`
+ * @param {object} column Column definition
+ * @returns boolean
+ */
+function isDeclarative(column) {
+  return typeof column?.type === 'string' && !column.schema;
+}
+
+/**
+ * Builds SQL schema of a column from declarative definition
+ * @param {string} name Name of the column
+ * @param {object} column Declarative column definition
+ * @returns Schema string i.e. 'email VARCHAR(255) NOT NULL UNIQUE'
+ */
+function buildColumnSchema(name, column) {
+  const type = columnTypes[column.type.toLowerCase()];
+  if (!type) {
+    throw new PgormError(
+      `Invalid type '${column.type}' for column ${name}`,
+      'define'
+    );
+  }
+
+  let sqlType = type.sql;
+  const length = columnLength(column, type);
+  if (length) {
+    sqlType += `(${length})`;
+  } else if (column.precision) {
+    sqlType += `(${column.precision}${
+      column.scale !== undefined ? `,${column.scale}` : ''
+    })`;
+  }
+  if (column.array) sqlType += '[]';
+
+  const parts = [name, sqlType];
+
+  if (column.nullable === false) parts.push('NOT NULL');
+  if (column.defaultRaw !== undefined) {
+    parts.push(`DEFAULT ${column.defaultRaw}`);
+  } else if (column.default !== undefined) {
+    parts.push(`DEFAULT ${toLiteral(column.default)}`);
+  }
+  if (column.unique) parts.push('UNIQUE');
+  if (column.check) parts.push(`CHECK (${column.check})`);
+
+  if (column.references) {
+    const { table, column: refColumn } = referenceTarget(column.references);
+    parts.push(`REFERENCES ${table} (${refColumn})`);
+    if (column.onDelete) parts.push(`ON DELETE ${column.onDelete}`);
+    if (column.onUpdate) parts.push(`ON UPDATE ${column.onUpdate}`);
+  }
+
+  return parts.join(' ');
+}
+
+/**
+ * Builds validation functions of a column from declarative definition,
+ * i.e. required (not nullable without default), type and length checks.
+ * @param {string} name Name of the column
+ * @param {object} column Declarative column definition
+ * @returns Array of validation functions
+ */
+function buildColumnValidations(name, column) {
+  const type = columnTypes[column.type.toLowerCase()];
+  const validations = [];
+  const hasDefault =
+    column.default !== undefined || column.defaultRaw !== undefined;
+
+  if (column.nullable === false && !hasDefault) {
+    validations.push((val, col) => {
+      if (val === undefined || val === null) {
+        throw new Error(`${col} is required`);
+      }
+    });
+  }
+
+  if (type.kind !== 'any') {
+    const check = kindChecks[type.kind];
+    validations.push((val, col) => {
+      if (val === undefined || val === null) return;
+
+      const values = column.array ? val : [val];
+      if (column.array && !Array.isArray(val)) {
+        throw new Error(`${col} must be an array`);
+      }
+      if (!values.every(check)) {
+        throw new Error(`${col} must be ${kindNames[type.kind]}`);
+      }
+    });
+  }
+
+  const length = columnLength(column, type);
+  if (length) {
+    validations.push((val, col) => {
+      if (typeof val !== 'string') return;
+      if (val.length > length) {
+        throw new Error(`${col} can not be more than ${length} characters`);
+      }
+    });
+  }
+
+  return validations;
+}
+
+/**
+ * Converts declarative column definitions to schema and validations,
+ * raw schema definitions are returned as is.
+ * @param {object} columns Columns passed to define
+ * @returns Columns with schema and validations
+ */
+function normalizeColumns(columns) {
+  const normalized = {};
+
+  for (const [name, column] of Object.entries(columns)) {
+    if (!isDeclarative(column)) {
+      normalized[name] = column;
+      continue;
+    }
+
+    normalized[name] = {
+      ...column,
+      schema: buildColumnSchema(name, column),
+      validations: [
+        ...buildColumnValidations(name, column),
+        ...(column.validations || []),
+      ],
+    };
+  }
+
+  return normalized;
+}
+
+module.exports.columnTypes = columnTypes;
+module.exports.isDeclarative = isDeclarative;
+module.exports.buildColumnSchema = buildColumnSchema;
+module.exports.buildColumnValidations = buildColumnValidations;
+module.exports.normalizeColumns = normalizeColumns;
+module.exports.referenceTarget = referenceTarget;
@@ -1,10 +1,152 @@
 class PgormError extends Error {
-  constructor(message, thrownAt) {
+  /**
+   * Error thrown by the methods of PgormModel
+   * @param {string} message Error message
+   * @param {string} thrownAt Name of the method
+   * @param {object} options Error options i.e. `{ cause }`, the original error
+   */
+  constructor(message, thrownAt, options = {}) {
     super(message);
-    this.name = this.contructor?.name || 'PgormError';
-    this.stack = Error.captureStackTrace(this, this.contructor);
+    this.name = this.constructor.name;
+    Error.captureStackTrace(this, this.constructor);
     this.thrownAt = thrownAt;
+    if (options.cause !== undefined) this.cause = options.cause;
   }
 }
 
+class ValidationError extends PgormError {
+  /**
+   * Error containing all the failed validations of the values
+   * @param {string} message Error message
+   * @param {string} thrownAt Name of the method
+   * @param {object} errors Error messages by column i.e. `{ email: ['email is required'] }`
+   */
+  constructor(message, thrownAt, errors = {}) {
+    super(message, thrownAt);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+class StaleRecordError extends PgormError {
+  /**
+   * Error thrown when the record was modified since its version was read, by optimistic locking
+   * @param {string} message Error message
+   * @param {string} thrownAt Name of the method
+   * @param {object} details Details of the record i.e. `{ model, table, id, version, currentVersion }`
+   */
+  constructor(message, thrownAt, details = {}) {
+    super(message, thrownAt);
+    this.model = details.model;
+    this.table = details.table;
+    this.id = details.id;
+    this.version = details.version;
+    this.currentVersion = details.currentVersion;
+  }
+}
+
+class DatabaseError extends PgormError {
+  /**
+   * Error returned by the database driver, original error is kept as `cause`
+   * @param {string} message Error message
+   * @param {string} thrownAt Name of the method
+   * @param {object} details Details of the error i.e. `{ cause, code, model, table, column, constraint, detail }`
+   */
+  constructor(message, thrownAt, details = {}) {
+    super(message, thrownAt, { cause: details.cause });
+    this.code = details.code;
+    this.model = details.model;
+    this.table = details.table;
+    this.column = details.column;
+    this.constraint = details.constraint;
+    this.detail = details.detail;
+  }
+}
+
+// unique_violation (23505)
+class UniqueConstraintError extends DatabaseError {}
+
+// foreign_key_violation (23503)
+class ForeignKeyError extends DatabaseError {}
+
+// not_null_violation (23502)
+class NotNullError extends DatabaseError {}
+
+// check_violation (23514)
+class CheckConstraintError extends DatabaseError {}
+
+// connection failures, SQLSTATE class 08, server shutdown or network errors
+class ConnectionError extends DatabaseError {}
+
+// error classes by SQLSTATE code
+const errorClasses = {
+  23505: UniqueConstraintError,
+  23503: ForeignKeyError,
+  23502: NotNullError,
+  23514: CheckConstraintError,
+};
+
+// network errors of node and server shutdown codes (57P01..57P03)
+const connectionCodes = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EPIPE',
+  '57P01',
+  '57P02',
+  '57P03',
+];
+
+const isConnectionError = (err) =>
+  connectionCodes.includes(err.code) ||
+  /^08/.test(err.code || '') ||
+  /connection terminated|not queryable/i.test(err.message || '');
+
+// column(s) from detail of the error i.e. 'Key (email)=(ali@acme.com) already exists.'
+const columnFromDetail = (detail) =>
+  /^Key \(([^)]+)\)=/.exec(detail || '')?.[1];
+
+/**
+ * Wraps the error of the database driver in the matching DatabaseError subclass.
+ * Errors which are not from the database (i.e. thrown by hooks) are returned as is.
+ * @param {Error} err Error thrown by the driver
+ * @param {string} thrownAt Name of the method
+ * @param {object} model Model which ran the query
+ * @returns Wrapped error
+ */
+function toDatabaseError(err, thrownAt, model) {
+  if (!(err instanceof Error) || err instanceof PgormError) return err;
+
+  let ErrorClass = errorClasses[err.code];
+  if (!ErrorClass && isConnectionError(err)) ErrorClass = ConnectionError;
+  // SQLSTATE codes are five characters
+  if (!ErrorClass && /^[0-9A-Z]{5}$/.test(err.code || '')) {
+    ErrorClass = DatabaseError;
+  }
+  if (!ErrorClass) return err;
+
+  const error = new ErrorClass(err.message, thrownAt, {
+    cause: err,
+    code: err.code,
+    model: model?.modelName,
+    table: err.table || model?.tableName,
+    column: err.column || columnFromDetail(err.detail),
+    constraint: err.constraint,
+    detail: err.detail,
+  });
+  // stack starts from the caller, not from here
+  Error.captureStackTrace(error, toDatabaseError);
+  return error;
+}
+
 module.exports.PgormError = PgormError;
+module.exports.ValidationError = ValidationError;
+module.exports.StaleRecordError = StaleRecordError;
+module.exports.DatabaseError = DatabaseError;
+module.exports.UniqueConstraintError = UniqueConstraintError;
+module.exports.ForeignKeyError = ForeignKeyError;
+module.exports.NotNullError = NotNullError;
+module.exports.CheckConstraintError = CheckConstraintError;
+module.exports.ConnectionError = ConnectionError;
+module.exports.toDatabaseError = toDatabaseError;
@@ -1,10 +1,118 @@
-const { PgormError } = require('./errors');
-const { getTimestamp, verifyParamType } = require('./util');
+const errors = require('./errors');
+const {
+  getTimestamp,
+  verifyParamType,
+  isPool,
+  createClientProxy,
+  toCamelCase,
+  bindAsyncIterator,
+} = require('./util');
+const { buildWhere, isPlainObject } = require('./where');
+const { normalizeColumns, referenceTarget } = require('./columns');
+const validators = require('./validators');
+const PgormRecord = require('./record');
+const { PgormError, ValidationError, StaleRecordError, toDatabaseError } =
+  errors;
+const { AsyncLocalStorage } = require('async_hooks');
+const { Readable } = require('stream');
+const crypto = require('crypto');
+
+// postgres truncates longer identifiers, so long default names would collide
+const maxIdentifierLength = 63;
+
+// default name of index or constraint i.e. users_email_key, long names are
+// truncated and suffixed with the hash of the full name to stay unique
+function defaultName(table, columns, suffix) {
+  const name = `${table}_${columns.join('_')}_${suffix}`;
+  if (Buffer.byteLength(name) <= maxIdentifierLength) return name;
+  const hash = crypto.createHash('sha1').update(name).digest('hex').slice(0, 8);
+  return `${name.slice(0, maxIdentifierLength - hash.length - 1)}_${hash}`;
+}
+
+// groups rows by the string value of column, in a map
+function groupBy(rows, column) {
+  const grouped = new Map();
+  rows.forEach((row) => {
+    const key = String(row[column]);
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(row);
+  });
+  return grouped;
+}
+
+// holds the running transactions, for all models
+const transactionStorage = new AsyncLocalStorage();
+
+// finds running transaction on the given connection, in the chain of transactions
+function findTransaction(connection) {
+  let tx = transactionStorage.getStore();
+  while (tx && tx.connection !== connection) {
+    tx = tx.parent;
+  }
+  return tx;
+}
+
+// last transaction of every single client, next transaction on the client waits for it
+const clientTransactions = new WeakMap();
+
+// waits for the running transactions of the client to end, returns function which ends this one
+async function waitForClient(client) {
+  const previous = clientTransactions.get(client) || Promise.resolve();
+  let end;
+  const current = new Promise((resolve) => (end = resolve));
+  clientTransactions.set(
+    client,
+    previous.then(() => current)
+  );
+  await previous;
+  return end;
+}
+
+// holds the state of the models i.e. scopes and dry run, for the calls made through
+// scope(), unscoped() and toSQL()
+const callStorage = new AsyncLocalStorage();
+
+// state of the calls made on the model directly, only default scope applies
+const defaultCallState = { conditions: [], withDefault: true, dryRun: false };
+
+// thrown by the first query in dry run mode, to return its statement instead of running it
+class DryRunStatement {
+  constructor(text, params) {
+    this.statement = { text: text.trim(), params };
+  }
+}
+
+// runs fn with dry run mode of all the models turned off, queries of the hooks and validations
+// i.e. lookups by other methods of the model must run, they are not the statement of the method
+function withoutDryRun(fn) {
+  const store = callStorage.getStore();
+  if (!store) return fn();
+  const states = [...store].map(([model, state]) => [
+    model,
+    { ...state, dryRun: false },
+  ]);
+  return callStorage.run(new Map(states), fn);
+}
+
+// statement of the method called in dry run mode, null if it ran no query
+async function toStatement(result) {
+  try {
+    await result;
+    return null;
+  } catch (err) {
+    if (err instanceof DryRunStatement) return err.statement;
+    throw err;
+  }
+}
 
 /**
  * @property {string} tablePrefix Prefix for table name
  * @property {string} tableSchema Schema for table
- * @property {string} pkName Name of primary key of table
+ * @property {string | Array<string>} pkName Name of primary key of table, array of names for composite primary key.
+ * Columns of composite (or natural) primary keys must be defined in the model columns
+ * @property {'serial' | 'bigint' | 'uuid' | 'string'} pkType Type of generated primary key, `serial` by default.
+ * `bigint` is an identity column (ids come as strings from pg), `uuid` uses gen_random_uuid() and
+ * `string` is a natural key, provided on create. Not used if primary key is defined in the model columns
  * @property {boolean | object} timestamps Whether to add timestamps or not, provide object to override default values
  * @example
  * // timestamps property can be boolean or object
@@ -16,28 +124,141 @@ const { getTimestamp, verifyParamType } = require('./util');
  *    deletedAt: 'deleted_at',
  * }
  * @property {boolean} paranoid Whether to soft delete or not
+ * @property {boolean} camelCase Whether to map snake_case columns to camelCase keys or not, for the returned records,
+ * the values to save, where objects, select and orderBy. Hooks and validations get the column names
+ * @property {boolean} instances Whether to return records as `PgormRecord` instances bound to the model or not,
+ * with `save`, `reload`, `destroy` and changes tracking. See `build`
+ * @property {boolean | string} version Whether to add version column for optimistic locking or not,
+ * provide string to name the column, `version` by default. See `updateById`
  * @property {boolean} alter Whether to alter table (on config change) or not
  * @property {boolean} errorLogs Whether to log errors or not
+ * @property {boolean} autoSync Whether to create table on `define` or leave it to `sync`/`syncAll`
+ * @property {Number} syncTimeout Time in ms to wait for a referenced model which is not syncing yet,
+ * before creating the table or foreign key fails. 30 seconds by default
+ * @property {object} logger Logger to report queries to i.e. `console`, queries are logged with `debug`,
+ * slow queries with `warn` and failed queries with `error`. Errors of `errorLogs` go to `error` too
+ * @property {Function} onQuery Called with `queryEvent` after every query
+ * @property {Number} slowQueryThreshold Duration in ms, queries taking this long or longer are slow queries
+ * @property {Function} onSlowQuery Called with `queryEvent` of the slow queries
+ * @property {boolean | Function} redactParams Hide params of the queries in the events, `true` replaces all
+ * of them with '[REDACTED]', or a function `(params, queryEvent) => params` to redact selectively
  */
 const globalOptions = {
   tablePrefix: '',
   tableSchema: 'public',
   pkName: 'id',
+  pkType: 'serial',
   timestamps: false,
   paranoid: false,
+  version: false,
+  camelCase: false,
+  instances: false,
   alter: false,
   errorLogs: false,
+  autoSync: true,
+  syncTimeout: 30000,
+  logger: null,
+  onQuery: null,
+  slowQueryThreshold: null,
+  onSlowQuery: null,
+  redactParams: false,
 };
 
+// options of the query instrumentation, which can be changed by setOptions for existing models too
+const instrumentationOptions = [
+  'logger',
+  'onQuery',
+  'slowQueryThreshold',
+  'onSlowQuery',
+  'redactParams',
+];
+
 /**
- * All globalOptions plus option to change table name
+ * All globalOptions plus option to change table name and connection
  * @property {tableName} string Name of table for current model
+ * @property {PG_Client | PG_Pool} connection Connection for current model, useful for models in other databases.
+ * Connection provided to `useConnection` is used by default
+ * @property {PG_Client | PG_Pool} replica Connection for read queries of current model
+ * @property {whereObj | Function} defaultScope Where object applied to all the queries of current model,
+ * or a function returning it. Use `unscoped()` to bypass it. See `addScope`
  */
 const modalOptions = {
   ...globalOptions,
   tableName: '',
+  connection: null,
+  replica: null,
+  defaultScope: null,
+};
+
+/**
+ * Event of the executed query, given to the `onQuery` and `onSlowQuery` options
+ * @property {string} sql Query text
+ * @property {Array} params Query params, redacted if `redactParams` is set
+ * @property {string} model Name of the model, 'PgormModel' for the statements of transactions
+ * @property {string} method Name of the method which ran the query i.e. 'findAll', or 'transaction'
+ * @property {number} duration Duration of the query in ms
+ * @property {Error} error Error thrown by the query, if failed
+ */
+const queryEvent = {
+  sql: '',
+  params: [],
+  model: '',
+  method: '',
+  duration: 0,
+  error: null,
+};
+
+// schema of generated primary key by pkType
+const pkSchemas = {
+  serial: (pk) => `${pk} SERIAL NOT NULL PRIMARY KEY`,
+  bigint: (pk) => `${pk} BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY`,
+  uuid: (pk) => `${pk} UUID NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY`,
+  string: (pk) => `${pk} TEXT NOT NULL PRIMARY KEY`,
 };
 
+// aggregate functions, mapped to their SQL counterparts
+const aggregateFunctions = {
+  count: 'COUNT',
+  sum: 'SUM',
+  avg: 'AVG',
+  min: 'MIN',
+  max: 'MAX',
+};
+
+// pg returns count (bigint), sum and avg (numeric) as strings
+function toAggregateValue(fn, value) {
+  if (value === null || !['count', 'sum', 'avg'].includes(fn)) return value;
+  return Number(value);
+}
+
+// unique names of the server side cursors of iterate
+let cursorCount = 0;
+
+// lifecycle events which hooks can be registered for
+const hookEvents = [
+  'beforeCreate',
+  'afterCreate',
+  'beforeUpdate',
+  'afterUpdate',
+  'beforeDestroy',
+  'afterDestroy',
+  'beforeFind',
+  'afterFind',
+  'beforeSave',
+];
+
+// adds hook in the hooks object i.e. { beforeCreate: [fn1, fn2] }
+function addHookTo(hooks, event, fn, methodName) {
+  verifyParamType(event, 'string', 'event', methodName);
+  verifyParamType(fn, 'function', 'fn', methodName);
+  if (!hookEvents.includes(event)) {
+    throw new PgormError(`Invalid hook event '${event}'`, methodName);
+  }
+
+  if (!hooks[event]) hooks[event] = [];
+  hooks[event].push(fn);
+}
+
 const timestampsObj = {
   createdAt: 'created_at',
   updatedAt: 'updated_at',
@@ -45,12 +266,16 @@ const timestampsObj = {
 };
 
 /**
- * Validation function for user input validation
+ * Validation function for user input validation, can be async.
+ * All failures of all columns are thrown together as `ValidationError`,
+ * see `PgormModel.validators` for built in validators.
  * @param {any} val Value entered for current column
  * @param {string} col Name of current column
  * @param {object} values All user entered values
+ * @param {object} context Validation context i.e. `{ model, id, where, methodName, exists }`, id is provided by updateById
+ * and where by updateWhere. `exists(whereObj)` checks the table on the primary connection, without hooks and scopes
  */
-function validatorFn(val, col, values) {
+function validatorFn(val, col, values, context) {
   throw new Error('validation failed');
 }
 
@@ -59,12 +284,32 @@ function validatorFn(val, col, values) {
  * @property {object} columnName Name of the column
  * @property {string} schema Schema of the column
  * @property {Array} validations Array of validation functions
+ * @property {string} type Type of the column, instead of schema i.e. 'varchar', 'text', 'integer', 'bigint',
+ * 'numeric', 'boolean', 'date', 'timestamp', 'timestamptz', 'json', 'jsonb', 'uuid' etc.
+ * @property {number} length Length for 'varchar' (255 by default) and 'char' types
+ * @property {number} precision Precision for 'numeric' type, with optional scale
+ * @property {boolean} nullable Whether column can be null or not, true by default
+ * @property {any} default Default value of the column, use defaultRaw for SQL expressions i.e. 'NOW()'
+ * @property {boolean} unique Whether column must be unique or not
+ * @property {PgormModel | string} references Model or table name which the column refers to, with onDelete/onUpdate actions
+ * @property {boolean} hidden Whether to remove the column from the returned records or not
+ * @property {Function} get Transforms the value of the column in the returned records i.e. `(val, row) => val`
+ * @property {Function} set Transforms the value before it is saved, after validations and hooks i.e. `(val, values) => val`
  * @example
  * const columnsObj = {
  *  columnName: {
  *    schema: 'columnName TEXT NOT NULL',
  *    validations: [validatorFn],
  *  },
+ *  // or declaratively, schema and type, length, required validations are generated
+ *  email: {
+ *    type: 'varchar',
+ *    length: 100,
+ *    nullable: false,
+ *    unique: true,
+ *  },
+ *  user_id: { type: 'integer', references: Users, onDelete: 'CASCADE' },
+ *  password_hash: { type: 'text', hidden: true, set: (val) => hash(val) },
  *  // ...other columns
  *};
  */
@@ -75,6 +320,56 @@ const columnsObj = {
   },
   // ...other columns
 };
+
+/**
+ * Filter records with a plain object, values are sent as query params.
+ * Column names are checked against the defined columns, primary key and timestamps.
+ * Supported operators: `eq`, `ne`, `gt`, `gte`, `lt`, `lte`, `like`, `notLike`, `ilike`,
+ * `notIlike`, `in`, `notIn`, `between`, `notBetween`, `is` and `isNot`.
+ * Conditions can be grouped using `and`, `or` and `not` keys.
+ * @example
+ * const whereObj = {
+ *   age: { gte: 20 }, // age >= $1
+ *   status: ['active', 'trial'], // status = ANY($2)
+ *   email: { ilike: '%@acme.com' }, // email ILIKE $3
+ *   deleted_by: null, // deleted_by IS NULL
+ *   or: [{ fullname: 'Ali' }, { about: { like: '%ali%' } }], // (fullname = $4 OR about LIKE $5)
+ * };
+ */
+const whereObj = {
+  columnName: { gte: 20 },
+};
+
+/**
+ * Indexes and table constraints, the second argument of `define`. They are created with the table,
+ * and the missing ones are added to the existing table if `alter` option is enabled.
+ * Indexes are built concurrently on existing tables, unless running in a transaction,
+ * and invalid indexes left by failed concurrent builds are dropped and built again.
+ * Default names longer than 63 characters are truncated and suffixed with a hash.
+ * @property {Array<Object>} indexes Indexes i.e. `{ columns, name, unique, where, using, concurrently }`.
+ * `columns` are column names or SQL expressions, `name` is required for expressions and defaults to
+ * `<table>_<columns>_idx`, `where` makes it a partial index and `using` sets the index method i.e. 'gin'.
+ * Pass `concurrently: false` to build the index with a lock
+ * @property {Array<Object>} constraints Constraints i.e. `{ name, unique }` with unique columns,
+ * or `{ name, check }` with check expression. `name` is required for check constraints
+ * and defaults to `<table>_<columns>_key` for unique constraints
+ * @example
+ * const tableObj = {
+ *   indexes: [
+ *     { columns: ['tenant_id', 'created_at'] },
+ *     { columns: 'email', unique: true, where: 'deleted_at IS NULL' },
+ *     { name: 'users_lower_email_idx', columns: ['lower(email)'] },
+ *   ],
+ *   constraints: [
+ *     { unique: ['tenant_id', 'username'] },
+ *     { name: 'users_age_check', check: 'age >= 18' },
+ *   ],
+ * };
+ */
+const tableObj = {
+  indexes: [{ columns: ['columnName'] }],
+  constraints: [{ name: 'constraintName', check: 'columnName > 0' }],
+};
 // end types
 
 /**
@@ -88,13 +383,9 @@ const columnsObj = {
 class PgormModel {
   // private fields
   #selectQuery;
-  #updateCols;
-  #columnsPlaceholders;
-  #columnsLen;
   #pkName;
-  #validateBeforeCreate;
-  #validateBeforeUpdate;
-  #validateBeforeDestroy;
+  #pkColumns; // primary key columns, more than one for composite primary key
+  #hooks = {}; // lifecycle hooks i.e. { beforeCreate: [fn1, fn2] }
 
   // since v1.0.7
   #tableName;
@@ -102,45 +393,1162 @@ class PgormModel {
   #tableSchema;
   #useTimestamps;
   #paranoidTable;
+  #versionColumn; // column for optimistic locking, null if disabled
+  #outputKeys = {}; // keys of the columns in returned records i.e. { created_at: 'createdAt' }
+  #inputKeys = {}; // columns of the keys in given values i.e. { createdAt: 'created_at' }
+  #transformsRows = false; // whether returned records need serializing
+  #recordKeys = null; // keys of the PgormRecord instances, null if instances are disabled
+  #scopes = new Map(); // named scopes i.e. { active: { status: 'active' } }
   #enableErrorLogs;
   #configOptions;
+  #ownOptions; // options given to the constructor, without the global ones
+  #clientProxy;
+  #syncPromise;
+  #synced; // resolves once table is created, even if sync starts later
+  #resolveSynced;
+  #rejectSynced;
+  #foreignKeys = {}; // declared foreign keys by constraint name i.e. { books_user_id_fkey: { fkName, parentTableName, promise, failed } }
+  #indexes = []; // declared indexes i.e. [{ name, columns, unique, where, using, concurrently }]
+  #constraints = []; // declared table constraints i.e. [{ name, definition }]
 
   // since v1.0.7
   static models = {}; // reference to all instances
+  static validators = validators; // built in validators for columns
+  static errors = errors; // error classes i.e. UniqueConstraintError
+  static Record = PgormRecord; // class of the records of models with instances option
   static #timestamps = timestampsObj;
   static #globalConfigOptions; // Model wise global options
   static #CLIENT;
+  static #REPLICA;
+  static #globalHooks = {}; // hooks which run for all models
 
   // private methods
-  #arrangeByColumns(valuesObj) {
-    verifyParamType(valuesObj, 'object', 'valuesObj', 'arrangeByColumns');
+  // waits for the table to be created, throws if model is not synced
+  async #ready(methodName) {
+    // failed sync of the model is retried, unless syncing is left to sync() or syncAll()
+    if (!this.#syncPromise && this.columns && this.#configOptions.autoSync) {
+      await withoutDryRun(() => this.sync());
+      return;
+    }
+    if (!this.#syncPromise) {
+      throw new PgormError(
+        this.columns
+          ? `Model ${this.modelName} is not synced, call sync() or PgormModel.syncAll() first`
+          : `Model ${this.modelName} is not defined, call define() first`,
+        methodName
+      );
+    }
+    await this.#syncPromise;
+  }
 
-    const arr = [];
-    for (const key in this.columns) {
-      if (Object.hasOwnProperty.call(this.columns, key)) {
-        const element = valuesObj[key] || null;
-        arr.push(element);
+  // runs global and then model hooks of the event in order of registration, a plain object
+  // (or an array, for array of rows) returned by a hook replaces the payload for next hooks
+  async #runHooks(event, payload, methodName, context = {}) {
+    const hooks = [
+      ...(PgormModel.#globalHooks[event] || []),
+      ...(this.#hooks[event] || []),
+    ];
+
+    for (const fn of hooks) {
+      const result = await withoutDryRun(() =>
+        fn(this.#client(), payload, {
+          model: this,
+          methodName,
+          ...context,
+        })
+      );
+      const replaces = Array.isArray(payload)
+        ? Array.isArray(result)
+        : isPlainObject(result);
+      if (replaces) payload = result;
+    }
+    return payload;
+  }
+
+  // runs hooks of the event for every record, returns the records
+  async #runHooksForEach(event, records, methodName) {
+    const result = [];
+    for (const record of records) {
+      result.push(await this.#runHooks(event, record, methodName));
+    }
+    return result;
+  }
+
+  #hasHooks(event) {
+    return Boolean(
+      PgormModel.#globalHooks[event]?.length || this.#hooks[event]?.length
+    );
+  }
+
+  // models of the tables given
+  #modelsOf(tableNames) {
+    return Object.values(PgormModel.models).filter(
+      (model) => model !== this && tableNames.includes(model.tableName)
+    );
+  }
+
+  // models which columns of this model refer to
+  #referencedModels() {
+    return this.#modelsOf(
+      Object.values(this.columns || {})
+        .filter((column) => column.references)
+        .map((column) => referenceTarget(column.references).table)
+    );
+  }
+
+  // models which this model refers to, by foreign keys or references of columns
+  #parentModels() {
+    const fkParents = this.#modelsOf(
+      Object.values(this.#foreignKeys).map((fk) => fk.parentTableName)
+    );
+    return [...new Set([...fkParents, ...this.#referencedModels()])];
+  }
+
+  // new promise of the table creation, sync() settles it
+  #resetSynced() {
+    this.#synced = new Promise((resolve, reject) => {
+      this.#resolveSynced = resolve;
+      this.#rejectSynced = reject;
+    });
+    this.#synced.catch(() => {}); // rejection is reported by sync() itself
+  }
+
+  // waits for the table of the given model, which this model's table needs.
+  // model which is not syncing yet gets syncTimeout ms to start, so it can't hang forever
+  async #waitForTable(model, methodName) {
+    if (model.#syncPromise) return model.#synced;
+
+    const { syncTimeout } = this.#configOptions;
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () =>
+          reject(
+            new PgormError(
+              `Model ${model.modelName} is not synced in ${syncTimeout} ms, define it or call its sync()`,
+              methodName
+            )
+          ),
+        syncTimeout
+      );
+    });
+    try {
+      return await Promise.race([model.#synced, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // creates the foreign key, failed ones are created again by the next sync
+  #startForeignKey(fk) {
+    fk.failed = false;
+    fk.promise = this.#createForeignKey(fk.fkName, fk.parentTableName);
+    // rejection is reported to the caller or syncAll, if awaited
+    fk.promise.catch((err) => {
+      fk.failed = true;
+      this.#logError(err);
+    });
+    return fk.promise;
+  }
+
+  // primary connection of this model
+  #connection() {
+    return this.#configOptions.connection || PgormModel.#CLIENT;
+  }
+
+  // client of running transaction on this model's connection,
+  // otherwise replica for reads (if provided) or the primary connection
+  #client(readOnly = false) {
+    const connection = this.#connection();
+
+    const tx = findTransaction(connection);
+    if (tx) return tx.client;
+
+    if (readOnly) {
+      // global replica belongs to global connection only
+      const replica =
+        this.#configOptions.replica ||
+        (this.#configOptions.connection ? null : PgormModel.#REPLICA);
+      if (replica) return replica;
+    }
+
+    return connection;
+  }
+
+  // runs the query on the client, errors of the driver are thrown as DatabaseError
+  // client can be given for the queries which need the same connection i.e. cursors
+  async #query(text, params, methodName, readOnly = false, client = null) {
+    // custom queries of the hooks run as usual
+    if (this.#callState().dryRun && methodName !== 'customQuery') {
+      throw new DryRunStatement(text, params);
+    }
+
+    return PgormModel.#runQuery(
+      client || this.#client(readOnly),
+      text,
+      params,
+      methodName,
+      this
+    );
+  }
+
+  // runs and reports the query, for the models and transactions (model is null for them)
+  static async #runQuery(client, text, params, methodName, model = null) {
+    const start = process.hrtime.bigint();
+    let error = null;
+    try {
+      return await client.query(text, params);
+    } catch (err) {
+      error = toDatabaseError(err, methodName, model);
+      throw error;
+    } finally {
+      PgormModel.#reportQuery(
+        {
+          sql: typeof text === 'string' ? text : text?.text,
+          params: params || text?.values || [],
+          model: model ? model.modelName : 'PgormModel',
+          method: methodName,
+          duration: Number(process.hrtime.bigint() - start) / 1e6,
+          error,
+        },
+        model
+      );
+    }
+  }
+
+  // options of the query instrumentation, global options are read at the time of the query
+  // so setOptions applies to existing models too, options given to the model take precedence
+  static #instrumentation(model) {
+    const global = { ...globalOptions, ...PgormModel.#globalConfigOptions };
+    const own = model ? model.#ownOptions : {};
+    return Object.fromEntries(
+      instrumentationOptions.map((key) => [
+        key,
+        own[key] !== undefined ? own[key] : global[key],
+      ])
+    );
+  }
+
+  // reports the query to logger, onQuery and onSlowQuery (if slow)
+  static #reportQuery(event, model) {
+    const { logger, onQuery, onSlowQuery, slowQueryThreshold, redactParams } =
+      PgormModel.#instrumentation(model);
+    if (!logger && !onQuery && !onSlowQuery) return;
+
+    // failing listener or redactor must not fail the query
+    try {
+      if (redactParams === true) {
+        event.params = event.params.map(() => '[REDACTED]');
+      } else if (typeof redactParams === 'function') {
+        event.params = redactParams(event.params, event);
       }
+
+      const isSlow =
+        typeof slowQueryThreshold === 'number' &&
+        event.duration >= slowQueryThreshold;
+      const message = `${event.model}.${event.method} (${event.duration.toFixed(
+        1
+      )} ms): ${event.sql}`;
+
+      if (event.error) logger?.error?.(`Query failed ${message}`, event);
+      else if (isSlow) logger?.warn?.(`Slow query ${message}`, event);
+      else logger?.debug?.(message, event);
+
+      onQuery?.(event);
+      if (isSlow) onSlowQuery?.(event);
+    } catch (err) {
+      if (model) model.#logError(err);
+      else if (PgormModel.#globalConfigOptions?.errorLogs) console.log(err);
     }
-    return arr; // arrange values acc to columns
   }
 
-  #checkForDeletion(startWith = 'and') {
+  // logs the error if errorLogs is enabled, to the logger if provided
+  #logError(err) {
+    if (!this.#enableErrorLogs) return;
+    const { logger } = PgormModel.#instrumentation(this);
+    if (logger?.error) logger.error(err);
+    else console.log(err);
+  }
+
+  #checkForDeletion(startWith = 'and', options = {}) {
     let deleteCheck = '';
     // if modal is paranoid, check if record was not deleted
-    if (this.#paranoidTable) {
-      deleteCheck = `${startWith} ${PgormModel.#timestamps.deletedAt} is null`;
+    // or was deleted, if only deleted records are requested
+    if (this.#paranoidTable && !options.withDeleted) {
+      deleteCheck = `${startWith} ${PgormModel.#timestamps.deletedAt} ${
+        options.onlyDeleted ? 'is not null' : 'is null'
+      }`;
     }
     return deleteCheck;
   }
 
+  // names of the columns which can be used in queries i.e. where, select, orderBy
+  #queryColumns(defined = this.columns) {
+    const columns = [
+      ...new Set([...this.#pkColumns, ...Object.keys(defined || {})]),
+    ];
+    if (this.#useTimestamps) {
+      columns.push(...Object.values(PgormModel.#timestamps));
+    }
+    if (this.#versionColumn) columns.push(this.#versionColumn);
+    return columns;
+  }
+
+  // columns which can be used in where objects, camelCase keys are mapped to the columns
+  #whereColumns() {
+    if (!this.#configOptions.camelCase) return this.#queryColumns();
+    return Object.fromEntries(
+      this.#queryColumns().flatMap((col) => [
+        [col, col],
+        [this.#outputKeys[col] || col, col],
+      ])
+    );
+  }
+
+  // state of the running call, set by scope(), unscoped() and toSQL()
+  #callState() {
+    return callStorage.getStore()?.get(this) || defaultCallState;
+  }
+
+  // where objects of the scopes applied to the running call, default scope first
+  #scopeConditions() {
+    const { conditions, withDefault } = this.#callState();
+    const { defaultScope } = this.#configOptions;
+    if (!withDefault || !defaultScope) return conditions;
+    return [
+      typeof defaultScope === 'function' ? defaultScope() : defaultScope,
+      ...conditions,
+    ];
+  }
+
+  // like checkForDeletion, adds conditions of the applied scopes to the raw queries,
+  // and of the where object if given i.e. returned by beforeFind hooks
+  #checkScopes(startWith, params, methodName, where) {
+    const scopes = [where, ...this.#scopeConditions()].filter(Boolean);
+    if (!scopes.length) return '';
+    const conditions = buildWhere(
+      { and: scopes },
+      this.#whereColumns(),
+      params,
+      methodName
+    );
+    return conditions ? `${startWith} ${conditions}` : '';
+  }
+
+  // builds 'WHERE ..' clause from where object, including deletion check and scopes
+  // options can have withDeleted or onlyDeleted flags
+  #whereClause(where, params, methodName, options = {}) {
+    const scopes = this.#scopeConditions();
+    if (scopes.length) where = { and: [where || {}, ...scopes] };
+
+    const conditions = buildWhere(
+      where,
+      this.#whereColumns(),
+      params,
+      methodName
+    );
+
+    if (!conditions) return this.#checkForDeletion('WHERE', options);
+
+    return `WHERE ${conditions} ${this.#checkForDeletion('and', options)}`;
+  }
+
+  // columns of index or constraint, expressions are allowed only if named
+  // defined has the columns of the definition being validated i.e. { queryColumns, inputKeys }
+  #indexColumns(columns, named, methodName, defined) {
+    const list = typeof columns === 'string' ? [columns] : columns;
+    if (!Array.isArray(list) || !list.length) {
+      throw new PgormError(`'columns' Must be a string or array`, methodName);
+    }
+    return list.map((col) => {
+      verifyParamType(col, 'string', 'column', methodName);
+      if (/^\w+$/.test(col)) {
+        const column = defined.inputKeys[col] || col;
+        if (!defined.queryColumns.includes(column)) {
+          throw new PgormError(`Invalid column name '${column}'`, methodName);
+        }
+        return column;
+      }
+      if (!named) {
+        throw new PgormError(
+          `'name' is required for the index on expression ${col}`,
+          methodName
+        );
+      }
+      return col;
+    });
+  }
+
+  // index of define options with its columns and default name
+  #normalizeIndex(index, defined) {
+    verifyParamType(index, 'object', 'index', 'define');
+    const columns = this.#indexColumns(
+      index.columns,
+      index.name,
+      'define',
+      defined
+    );
+    return {
+      ...index,
+      name: index.name || defaultName(this.tableName, columns, 'idx'),
+      columns,
+    };
+  }
+
+  // constraint of define options with its definition i.e. 'UNIQUE (tenant_id, email)'
+  #normalizeConstraint(constraint, defined) {
+    verifyParamType(constraint, 'object', 'constraint', 'define');
+
+    if (constraint.check !== undefined) {
+      verifyParamType(constraint.check, 'string', 'check', 'define');
+      verifyParamType(constraint.name, 'string', 'name', 'define');
+      return {
+        name: constraint.name,
+        definition: `CHECK (${constraint.check})`,
+      };
+    }
+    if (constraint.unique !== undefined) {
+      // unique constraints can't have expressions, those are unique indexes
+      const columns = this.#indexColumns(
+        constraint.unique,
+        false,
+        'define',
+        defined
+      );
+      return {
+        name: constraint.name || defaultName(this.tableName, columns, 'key'),
+        definition: `UNIQUE (${columns.join()})`,
+      };
+    }
+    throw new PgormError(
+      `Constraint must have 'unique' columns or 'check' expression`,
+      'define'
+    );
+  }
+
+  // creates the declared constraints and indexes which don't exist in the table,
+  // for new tables or with alter option
+  async #syncIndexes(isNewTable) {
+    if (!isNewTable && !this.#configOptions.alter) return;
+
+    for (const { name, definition } of this.#constraints) {
+      // check if constraint exists already
+      const { rows } = await this.#query(
+        `SELECT EXISTS (SELECT 1 
+      FROM information_schema.table_constraints 
+      WHERE table_schema='${this.#tableSchema}' AND table_name='${
+          this.tableName
+        }' AND constraint_name='${name}');`,
+        [],
+        'sync'
+      );
+      if (!rows[0].exists) {
+        await this.#query(
+          `ALTER TABLE ${this.tableName} ADD CONSTRAINT ${name} ${definition}`,
+          [],
+          'sync'
+        );
+      }
+    }
+
+    // existing tables are not locked for writes while building,
+    // concurrently can't run in a transaction block
+    const concurrently = !isNewTable && !findTransaction(this.#connection());
+
+    for (const index of this.#indexes) {
+      const build =
+        concurrently && index.concurrently !== false ? 'CONCURRENTLY ' : '';
+      // failed concurrent builds leave invalid indexes, which are dropped and built again
+      const { rows } = await this.#query(
+        `SELECT i.indisvalid AS valid FROM pg_catalog.pg_index i 
+      JOIN pg_catalog.pg_class c ON c.oid = i.indexrelid 
+      JOIN pg_catalog.pg_class t ON t.oid = i.indrelid 
+      JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace 
+      WHERE n.nspname='${this.#tableSchema}' AND t.relname='${
+          this.tableName
+        }' AND c.relname='${index.name}';`,
+        [],
+        'sync'
+      );
+      if (rows[0]?.valid) continue;
+      if (rows.length) {
+        await this.#query(
+          `DROP INDEX ${build}IF EXISTS ${this.#tableSchema}.${index.name}`,
+          [],
+          'sync'
+        );
+      }
+
+      await this.#query(
+        `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX ${build}IF NOT EXISTS ${
+          index.name
+        } ON ${this.tableName}${
+          index.using ? ` USING ${index.using}` : ''
+        } (${index.columns.join()})${
+          index.where ? ` WHERE ${index.where}` : ''
+        }`,
+        [],
+        'sync'
+      );
+    }
+  }
+
+  // throws error if column is not in the queryable columns
+  #verifyColumn(column, methodName) {
+    if (!this.#queryColumns().includes(column)) {
+      throw new PgormError(`Invalid column name '${column}'`, methodName);
+    }
+  }
+
+  // whether primary key columns are defined in the model columns i.e. natural or composite keys
+  #isPkDefined(columns = this.columns) {
+    return this.#pkColumns.every((col) => columns?.[col]);
+  }
+
+  // primary key column, throws for composite primary keys
+  #singlePk(methodName) {
+    if (this.#pkColumns.length > 1) {
+      throw new PgormError(
+        `${this.modelName} has composite primary key, it is not supported by ${methodName}`,
+        methodName
+      );
+    }
+    return this.#pkColumns[0];
+  }
+
+  // checks the type of id against pkType, object of key columns for composite primary keys
+  #verifyId(id, methodName) {
+    if (this.#pkColumns.length > 1) {
+      if (
+        !isPlainObject(id) ||
+        this.#pkColumns.some((col) => id[col] === undefined)
+      ) {
+        throw new PgormError(
+          `'id' Must be a object of ${this.#pkColumns.join(', ')}`,
+          methodName
+        );
+      }
+      return;
+    }
+
+    // type of natural key is up to its column schema
+    if (this.#isPkDefined()) {
+      if (!['string', 'number', 'bigint'].includes(typeof id)) {
+        throw new PgormError(`'id' Must be a string or number`, methodName);
+      }
+      return;
+    }
+
+    const { pkType } = this.#configOptions;
+    if (pkType === 'bigint') {
+      // pg returns bigint as string, so numeric strings are accepted
+      const valid =
+        Number.isInteger(id) ||
+        typeof id === 'bigint' ||
+        (typeof id === 'string' && /^\d+$/.test(id));
+      if (!valid) {
+        throw new PgormError(
+          `'id' Must be a integer or numeric string`,
+          methodName
+        );
+      }
+      return;
+    }
+    verifyParamType(
+      id,
+      pkType === 'serial' ? 'number' : 'string',
+      'id',
+      methodName
+    );
+  }
+
+  // builds condition matching the record by id i.e. 'id=$1', fills params with the id
+  #idCondition(id, params) {
+    const ids = this.#pkColumns.length > 1 ? id : { [this.#pkColumns[0]]: id };
+    return this.#pkColumns
+      .map((col) => {
+        params.push(ids[col]);
+        return `${col}=$${params.length}`;
+      })
+      .join(' AND ');
+  }
+
+  // id of the record, object of key columns for composite primary keys
+  #idOf(record) {
+    if (this.#pkColumns.length === 1) return record[this.#pkColumns[0]];
+    return Object.fromEntries(this.#pkColumns.map((col) => [col, record[col]]));
+  }
+
+  // column of the given key, keys can be camelCase if enabled
+  #toColumn(key) {
+    return this.#inputKeys[key] || key;
+  }
+
+  // values with column names as keys, for the values given with camelCase keys
+  #toColumns(values) {
+    if (!this.#configOptions.camelCase) return values;
+    const result = {};
+    for (const [key, val] of Object.entries(values)) {
+      result[this.#toColumn(key)] = val;
+    }
+    return result;
+  }
+
+  // applies set transforms of the columns, right before the values are saved
+  #applySetters(values) {
+    const result = { ...values };
+    for (const [col, { set }] of Object.entries(this.columns)) {
+      if (set && result[col] !== undefined) {
+        result[col] = set(result[col], values);
+      }
+    }
+    return result;
+  }
+
+  // converts the row to returned record, hidden columns are removed,
+  // get transforms are applied and keys are camelCased if enabled
+  #serialize(row) {
+    if (!row || !this.#transformsRows) return row;
+
+    const record = {};
+    for (const [key, val] of Object.entries(row)) {
+      const column = this.columns[key];
+      if (column?.hidden) continue;
+      // included associations are kept as is
+      record[this.#outputKeys[key] || key] = column?.get
+        ? column.get(val, row)
+        : val;
+    }
+    return this.#recordKeys
+      ? new PgormRecord(this, record, {
+          keys: this.#recordKeys,
+          persisted: true,
+        })
+      : record;
+  }
+
+  #serializeRows(rows) {
+    return this.#transformsRows
+      ? rows.map((row) => this.#serialize(row))
+      : rows;
+  }
+
+  // keys of the PgormRecord instances, hidden columns are not loaded so their changes are tracked apart
+  #recordKeysOf(columns, outputKeys) {
+    const methods = Object.getOwnPropertyNames(PgormRecord.prototype);
+    const keys = Object.values(outputKeys);
+    const shadowing = keys.find((key) => methods.includes(key));
+    if (shadowing) {
+      throw new PgormError(
+        `Column ${shadowing} of ${this.modelName} shadows the method of the records, rename it or disable instances option`,
+        'define'
+      );
+    }
+
+    const keysOf = (hidden) =>
+      Object.keys(columns)
+        .filter((col) => Boolean(columns[col].hidden) === hidden)
+        .map((col) => outputKeys[col]);
+    return {
+      pk: Object.fromEntries(
+        this.#pkColumns.map((col) => [col, outputKeys[col]])
+      ),
+      columns: keysOf(false),
+      hidden: keysOf(true),
+      version: this.#versionColumn && outputKeys[this.#versionColumn],
+    };
+  }
+
+  // key of the column in returned records, which are grouped by it to include associations
+  #outputKey(column, methodName) {
+    if (this.columns?.[column]?.hidden) {
+      throw new PgormError(
+        `Hidden column ${column} of ${this.modelName} can not be used to include associations`,
+        methodName
+      );
+    }
+    return this.#outputKeys[column] || column;
+  }
+
+  // throws StaleRecordError if the record exists with another version
+  async #checkStale(id, version, methodName) {
+    const params = [];
+    const { rows } = await this.#query(
+      `SELECT ${this.#versionColumn} FROM ${
+        this.tableName
+      } where ${this.#idCondition(
+        id,
+        params
+      )} ${this.#checkForDeletion()} ${this.#checkScopes(
+        'and',
+        params,
+        methodName
+      )}`,
+      params,
+      methodName
+    );
+    if (!rows.length) return;
+
+    const currentVersion = rows[0][this.#versionColumn];
+    throw new StaleRecordError(
+      `${this.modelName} record is modified by someone else, expected version ${version} but it is ${currentVersion}`,
+      methodName,
+      {
+        model: this.modelName,
+        table: this.tableName,
+        id,
+        version,
+        currentVersion,
+      }
+    );
+  }
+
+  // normalizes orderBy option to [[column, direction], ...]
+  #normalizeOrder(orderBy, methodName, columns = this.#queryColumns()) {
+    let order = orderBy;
+    if (typeof order === 'string') order = [order];
+    // { age: 'DESC', id: 'ASC' }
+    else if (!Array.isArray(order)) order = Object.entries(order);
+
+    return order.map((item) => {
+      const [key, direction = 'ASC'] = typeof item === 'string' ? [item] : item;
+      const column = columns.includes(key) ? key : this.#toColumn(key);
+
+      if (!columns.includes(column)) {
+        throw new PgormError(`Invalid column name '${column}'`, methodName);
+      }
+
+      const dir = String(direction).toUpperCase();
+      if (dir !== 'ASC' && dir !== 'DESC') {
+        throw new PgormError(
+          `Invalid order direction '${direction}' for ${column}`,
+          methodName
+        );
+      }
+      return [column, dir];
+    });
+  }
+
+  // builds aggregate expression i.e. SUM(age), only count accepts '*'
+  #aggregateExpression(fn, column, methodName) {
+    if (!aggregateFunctions[fn]) {
+      throw new PgormError(`Invalid aggregate function '${fn}'`, methodName);
+    }
+    if (fn === 'count' && column === '*') return 'COUNT(*)';
+
+    verifyParamType(column, 'string', 'column', methodName);
+    column = this.#toColumn(column);
+    this.#verifyColumn(column, methodName);
+    return `${aggregateFunctions[fn]}(${column})`;
+  }
+
+  // runs single aggregate function on the matching records
+  async #aggregateValue(fn, column, where, options, methodName) {
+    verifyParamType(where, 'object', 'where', methodName);
+    verifyParamType(options, 'object', 'options', methodName);
+    await this.#ready(methodName);
+
+    const params = [];
+    const expression = this.#aggregateExpression(fn, column, methodName);
+    const { rows } = await this.#query(
+      `SELECT ${expression} AS value FROM ${this.tableName} ${this.#whereClause(
+        where,
+        params,
+        methodName,
+        options
+      )}`,
+      params,
+      methodName,
+      true
+    );
+    return toAggregateValue(fn, rows[0].value);
+  }
+
+  // builds select query from the find options, fills params with query values
+  #findQuery(options, params, methodName) {
+    const { select, orderBy, limit, offset, cursor } = options;
+    let { where } = options;
+    let order = orderBy ? this.#normalizeOrder(orderBy, methodName) : [];
+
+    // keyset pagination, results are ordered by the cursor column
+    if (cursor) {
+      verifyParamType(cursor, 'object', 'cursor', methodName);
+      if (orderBy) {
+        throw new PgormError(
+          `'orderBy' can not be used with 'cursor', results are ordered by the cursor column`,
+          methodName
+        );
+      }
+      const { after, before } = cursor;
+      const column = cursor.column
+        ? this.#toColumn(cursor.column)
+        : this.#singlePk(methodName);
+      const direction = String(cursor.direction || 'ASC').toUpperCase();
+      this.#verifyColumn(column, methodName);
+
+      // going backwards means flipping the comparison and the order
+      const backwards = before !== undefined;
+      const desc = (direction === 'DESC') !== backwards;
+      const value = backwards ? before : after;
+
+      if (value !== undefined) {
+        where = {
+          and: [where || {}, { [column]: { [desc ? 'lt' : 'gt']: value } }],
+        };
+      }
+      order = [[column, desc ? 'DESC' : 'ASC']];
+    }
+
+    let query = this.#selectQuery;
+
+    // select only requested columns
+    if (select) {
+      const selectCols = (typeof select === 'string' ? [select] : select).map(
+        (col) => this.#toColumn(col)
+      );
+      if (!selectCols.length) {
+        throw new PgormError(
+          `'select' Must have at least one column`,
+          methodName
+        );
+      }
+      selectCols.forEach((col) => this.#verifyColumn(col, methodName));
+      query = `SELECT ${selectCols.join()} FROM ${this.tableName}`;
+    }
+
+    query += ` ${this.#whereClause(where, params, methodName, options)}`;
+
+    if (order.length) {
+      query += ` ORDER BY ${order.map((o) => o.join(' ')).join()}`;
+    }
+
+    if (limit !== undefined) {
+      if (!Number.isInteger(limit) || limit < 0) {
+        throw new PgormError(`'limit' Must be a positive integer`, methodName);
+      }
+      params.push(limit);
+      query += ` LIMIT $${params.length}`;
+    }
+
+    if (offset !== undefined) {
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw new PgormError(`'offset' Must be a positive integer`, methodName);
+      }
+      params.push(offset);
+      query += ` OFFSET $${params.length}`;
+    }
+
+    return query;
+  }
+
+  // columns of the inserted values, timestamps are not included
+  #valueColumns() {
+    const valueColumns = Object.keys(this.columns);
+    // ids of uuid, bigint and string keys can be provided, serial ids are always generated
+    if (!this.#isPkDefined() && this.#configOptions.pkType !== 'serial') {
+      valueColumns.unshift(this.#pkName);
+    }
+    return valueColumns;
+  }
+
+  // builds multi row insert query, fills params with the values of all rows
+  #insertQuery(rows, options, params, methodName) {
+    const { createdAt, updatedAt } = PgormModel.#timestamps;
+    const valueColumns = this.#valueColumns();
+    const timestamp = getTimestamp();
+    const insertColumns = [...valueColumns];
+
+    // deletedAt is left to its default i.e. null
+    if (this.#useTimestamps) {
+      insertColumns.push(createdAt, updatedAt);
+    }
+
+    // missing values of declarative columns and generated primary key get the column default,
+    // missing values of schema columns are inserted as null
+    const usesDefault = valueColumns.map(
+      (col) => !this.columns[col] || typeof this.columns[col].type === 'string'
+    );
+
+    const rowsPlaceholders = rows.map((values) => {
+      const placeholders = valueColumns.map((col, i) => {
+        if (values[col] === undefined && usesDefault[i]) return 'DEFAULT';
+        params.push(values[col] === undefined ? null : values[col]);
+        return '$' + params.length;
+      });
+      if (this.#useTimestamps) {
+        params.push(timestamp, timestamp);
+        placeholders.push(`$${params.length - 1}`, `$${params.length}`);
+      }
+      return `(${placeholders.join()})`;
+    });
+
+    return `INSERT INTO ${this.tableName} (${insertColumns.join()})
+      VALUES ${rowsPlaceholders.join()}
+      ${this.#conflictClause(options, methodName)} RETURNING *`;
+  }
+
+  // builds 'ON CONFLICT ..' clause for inserts
+  #conflictClause(options, methodName) {
+    const { conflictTarget, update, ignoreDuplicates } = options;
+    if (!conflictTarget && !update && !ignoreDuplicates) return '';
+
+    let target = [];
+    if (conflictTarget) {
+      target = (
+        Array.isArray(conflictTarget) ? conflictTarget : [conflictTarget]
+      ).map((col) => this.#toColumn(col));
+      target.forEach((col) => this.#verifyColumn(col, methodName));
+    }
+    const targetSql = target.length ? `(${target.join()})` : '';
+
+    if (!update || !update.length) {
+      return `ON CONFLICT ${targetSql} DO NOTHING`;
+    }
+
+    if (!target.length) {
+      throw new PgormError(
+        `'conflictTarget' is required to update on conflict`,
+        methodName
+      );
+    }
+
+    verifyParamType(update, 'object', 'update', methodName);
+    const setCols = update.map((key) => {
+      const col = this.#toColumn(key);
+      if (!this.columns[col]) {
+        throw new PgormError(`Invalid column name '${col}'`, methodName);
+      }
+      return `${col}=EXCLUDED.${col}`;
+    });
+
+    // createdAt of existing record is kept, only updatedAt changes
+    if (this.#useTimestamps) {
+      const { updatedAt } = PgormModel.#timestamps;
+      setCols.push(`${updatedAt}=EXCLUDED.${updatedAt}`);
+    }
+    if (this.#versionColumn) {
+      const version = this.#versionColumn;
+      setCols.push(`${version}=${this.tableName}.${version}+1`);
+    }
+
+    return `ON CONFLICT ${targetSql} DO UPDATE SET ${setCols.join()}`;
+  }
+
+  // builds 'col=$1,col2=$2..' for the provided columns only, fills params with the values
+  // empty string if no column is provided, timestamps and version alone are not an update
+  #setClause(values, params) {
+    const setCols = Object.keys(this.columns)
+      .filter((col) => values[col] !== undefined)
+      .map((col) => {
+        params.push(values[col]);
+        return `${col}=$${params.length}`;
+      });
+    if (!setCols.length) return '';
+
+    // if timestamps are enabled, update value for updatedAt col
+    if (this.#useTimestamps) {
+      params.push(getTimestamp());
+      setCols.push(`${PgormModel.#timestamps.updatedAt}=$${params.length}`);
+    }
+
+    // version is incremented by the database, so concurrent updates can't skip it
+    if (this.#versionColumn) {
+      setCols.push(`${this.#versionColumn}=${this.#versionColumn}+1`);
+    }
+
+    return setCols.join();
+  }
+
+  // builds and verifies association of this model, callers add it once their options are verified too
+  #associate(type, target, options, methodName) {
+    if (!(target instanceof PgormModel)) {
+      throw new PgormError(`'target' Must be a PgormModel`, methodName);
+    }
+    verifyParamType(options, 'object', 'options', methodName);
+    // associations match the records by a single key column
+    this.#singlePk(methodName);
+    target.#singlePk(methodName);
+
+    const association = { type, target, as: target.modelName, ...options };
+    verifyParamType(association.as, 'string', 'as', methodName);
+
+    if (this.associations[association.as]) {
+      throw new PgormError(
+        `Association '${association.as}' already exists on ${this.modelName}`,
+        methodName
+      );
+    }
+    return association;
+  }
+
+  // finds foreign key of the inverse association i.e. hasMany for belongsTo
+  #inverseForeignKey(target, inverseType) {
+    return Object.values(target.associations).find(
+      (assoc) => assoc.type === inverseType && assoc.target === this
+    )?.foreignKey;
+  }
+
+  // loads included associations of the rows in batches, and nests them in the rows
+  async #loadIncludes(rows, include, methodName) {
+    const includes = Array.isArray(include) ? include : [include];
+
+    for (const item of includes) {
+      // include can be alias or options object i.e. { association, where, select, include }
+      const { association: as, ...findOptions } =
+        typeof item === 'string' ? { association: item } : item;
+
+      const association = this.associations[as];
+      if (!association) {
+        throw new PgormError(
+          `Association '${as}' not found on ${this.modelName}`,
+          methodName
+        );
+      }
+
+      // related rows of all the parents are fetched by one query, so these can't apply per parent
+      const paging = ['limit', 'offset', 'cursor'].filter(
+        (key) => findOptions[key] !== undefined
+      );
+      if (paging.length) {
+        throw new PgormError(
+          `'${paging[0]}' is not supported in include of '${as}'`,
+          methodName
+        );
+      }
+
+      const { type, target, foreignKey, otherKey, through } = association;
+
+      // key of these rows, which is used to find related rows
+      const ownKey = type === 'belongsTo' ? foreignKey : this.#pkName;
+      if (rows.length && !(ownKey in rows[0])) {
+        throw new PgormError(
+          `'select' must include ${ownKey} to include '${as}'`,
+          methodName
+        );
+      }
+
+      // values are matched as strings, bigint columns come as strings from pg
+      const keys = [
+        ...new Set(rows.map((row) => row[ownKey]).filter((key) => key != null)),
+      ];
+
+      // related column is needed for grouping, add it if select is provided
+      const findRelated = (column, values) => {
+        const { where, select } = findOptions;
+        return target.findAll({
+          ...findOptions,
+          where: where
+            ? { and: [{ [column]: values }, where] }
+            : { [column]: values },
+          select: select && [...new Set([column, ...[].concat(select)])],
+        });
+      };
+
+      if (type === 'hasMany') {
+        const related = keys.length ? await findRelated(foreignKey, keys) : [];
+        const grouped = groupBy(
+          related,
+          target.#outputKey(foreignKey, methodName)
+        );
+        rows.forEach((row) => {
+          row[as] = grouped.get(String(row[ownKey])) || [];
+        });
+      } else if (type === 'belongsTo') {
+        const related = keys.length
+          ? await findRelated(target.#pkName, keys)
+          : [];
+        const grouped = groupBy(
+          related,
+          target.#outputKey(target.#pkName, methodName)
+        );
+        rows.forEach((row) => {
+          row[as] = grouped.get(String(row[ownKey]))?.[0] || null;
+        });
+      } else if (type === 'manyToMany') {
+        const joinRows = keys.length
+          ? await through.findAll({
+              where: { [foreignKey]: keys },
+              select: [foreignKey, otherKey],
+            })
+          : [];
+        // join rows come with the keys of the through model
+        const joinForeignKey = through.#outputKey(foreignKey, methodName);
+        const joinOtherKey = through.#outputKey(otherKey, methodName);
+        const otherKeys = [...new Set(joinRows.map((jr) => jr[joinOtherKey]))];
+        const related = otherKeys.length
+          ? await findRelated(target.#pkName, otherKeys)
+          : [];
+        const relatedById = groupBy(
+          related,
+          target.#outputKey(target.#pkName, methodName)
+        );
+        const joinGrouped = groupBy(joinRows, joinForeignKey);
+
+        rows.forEach((row) => {
+          row[as] = (joinGrouped.get(String(row[ownKey])) || [])
+            .map((jr) => relatedById.get(String(jr[joinOtherKey]))?.[0])
+            .filter(Boolean);
+        });
+      }
+    }
+
+    return rows;
+  }
+
+  // checks if any record matches the where object on the primary connection, without hooks,
+  // scopes and deletion check, for the lookups of validations i.e. unique
+  async #existsOnPrimary(where, methodName) {
+    const params = [];
+    const conditions = buildWhere(
+      where,
+      this.#whereColumns(),
+      params,
+      methodName
+    );
+    const { rows } = await this.#query(
+      `SELECT EXISTS (SELECT 1 FROM ${this.tableName} ${
+        conditions ? `WHERE ${conditions}` : ''
+      }) AS exists`,
+      params,
+      methodName
+    );
+    return rows[0].exists;
+  }
+
   // function which runs all validator functions of all columns
-  #validate(values = {}) {
+  // or only of the provided columns, for partial updates
+  // collects all the failures and throws them as one ValidationError
+  async #validate(values = {}, methodName, options = {}) {
+    const { onlyProvided = false, id, where } = options;
+    const context = {
+      model: this,
+      id,
+      where,
+      methodName,
+      exists: (whereObj) => this.#existsOnPrimary(whereObj, methodName),
+    };
+    const errors = {};
+
     // loop through all columns of this model
     for (const key in this.columns) {
+      if (onlyProvided && values[key] === undefined) continue;
+
       // run all validator functions against user input
-      this.columns[key]?.validations?.forEach((fn) =>
-        fn?.(values[key], key, values)
+      for (const fn of this.columns[key]?.validations || []) {
+        try {
+          await withoutDryRun(() => fn?.(values[key], key, values, context));
+        } catch (err) {
+          errors[key] = [...(errors[key] || []), err.message];
+        }
+      }
+    }
+
+    const messages = Object.values(errors).flat();
+    if (messages.length) {
+      throw new ValidationError(
+        `Validation failed: ${messages.join(', ')}`,
+        methodName,
+        errors
       );
     }
   }
@@ -152,7 +1560,7 @@ class PgormModel {
    * @constructor
    * @version v1.0.7
    */
-  constructor(modelName = '', options = modalOptions) {
+  constructor(modelName = '', options = {}) {
     verifyParamType(modelName, 'string', 'modalName', 'constructor');
     verifyParamType(options, 'object', 'options', 'constructor'); // since v1.0.7
 
@@ -165,16 +1573,32 @@ class PgormModel {
       ...PgormModel.#globalConfigOptions,
       ...options,
     };
+    this.#ownOptions = options;
     this.#pkName = this.#configOptions.pkName;
+    this.#pkColumns = Array.isArray(this.#pkName)
+      ? this.#pkName
+      : [this.#pkName];
     this.#tablePrefix = this.#configOptions.tablePrefix;
     this.#tableSchema = this.#configOptions.tableSchema;
     this.#paranoidTable = this.#configOptions.paranoid;
+    const { version } = this.#configOptions;
+    this.#versionColumn =
+      typeof version === 'string' ? version : version ? 'version' : null;
     this.#enableErrorLogs = this.#configOptions.errorLogs;
 
+    this.modelName = modelName;
     this.isTableCreated = false;
+    this.#resetSynced();
     this.customQueries = {};
-
-    PgormModel.models[modelName] = this; // add reference of this instance in models static var
+    this.associations = {}; // associations by their alias, see hasMany, belongsTo etc
+    // resolves the client on every access, so custom queries run in transactions too
+    this.#clientProxy = createClientProxy(() => this.#client(), {
+      // reported to logger and onQuery, unless callback is used
+      query: (...args) =>
+        typeof args[args.length - 1] === 'function'
+          ? this.#client().query(...args)
+          : this.#query(args[0], args[1], 'customQuery'),
+    });
 
     // since v1.0.7
     // if tableName is provided in this.#configOptions, use that
@@ -202,33 +1626,285 @@ class PgormModel {
         ...this.#configOptions.timestamps,
       };
     }
+
+    if (!pkSchemas[this.#configOptions.pkType]) {
+      throw new PgormError(
+        `Invalid pkType '${
+          this.#configOptions.pkType
+        }', must be one of ${Object.keys(pkSchemas).join(', ')}`,
+        'constructor'
+      );
+    }
+
+    // soft delete needs deletedAt column
+    if (this.#paranoidTable && !this.#useTimestamps) {
+      throw new PgormError(
+        'modalOptions.timestamps need to be enabled for modalOptions.paranoid to work.',
+        'constructor'
+      );
+    }
+
+    PgormModel.models[modelName] = this; // add reference of this instance in models static var
+  }
+
+  /**
+   * gets or sets the table name (with prefix)
+   */
+  set tableName(tableName) {
+    this.#tableName = this.#tablePrefix + tableName;
+  }
+
+  get tableName() {
+    return this.#tableName;
+  }
+
+  /**
+   * gets the schema (namespace) of the table
+   */
+  get tableSchema() {
+    return this.#tableSchema;
+  }
+
+  /**
+   * gets the name of primary key of the table, array of names for composite primary key
+   */
+  get pkName() {
+    return this.#pkName;
+  }
+
+  /**
+   * Gets the schema of all the columns of the table, including primary key and timestamps.
+   * Available after the model is defined.
+   * @returns Object with column names as keys and their schema as values
+   * @example
+   * Users.getColumnsSchema();
+   * // { id: 'id SERIAL NOT NULL PRIMARY KEY', fullname: 'fullname TEXT NOT NULL', ... }
+   */
+  getColumnsSchema() {
+    const columnsSchema = {};
+
+    // primary key defined in the columns is added as table constraint, see getCreateTableQuery
+    if (!this.#isPkDefined()) {
+      columnsSchema[this.#pkName] = pkSchemas[this.#configOptions.pkType](
+        this.#pkName
+      );
+    }
+
+    // loop through columns get the schema of every column
+    for (const [key, value] of Object.entries(this.columns || {})) {
+      columnsSchema[key] = value.schema;
+    }
+
+    // if timestamps are enabled, add timestamps as table columns
+    if (this.#useTimestamps) {
+      Object.values(PgormModel.#timestamps).forEach((col) => {
+        columnsSchema[col] = `${col} TIMESTAMP`;
+      });
+    }
+
+    if (this.#versionColumn) {
+      columnsSchema[this.#versionColumn] = `${
+        this.#versionColumn
+      } INTEGER NOT NULL DEFAULT 0`;
+    }
+
+    return columnsSchema;
+  }
+
+  /**
+   * Gets the query which creates the table of this model, if it doesn't exist.
+   * Available after the model is defined.
+   * @returns Create table query string
+   */
+  getCreateTableQuery() {
+    const columnsSchema = Object.values(this.getColumnsSchema());
+
+    // natural or composite primary key, unless column schema already has it
+    const pkInSchema = this.#pkColumns.some((col) =>
+      /\bPRIMARY\s+KEY\b/i.test(this.columns?.[col]?.schema || '')
+    );
+    if (this.#isPkDefined() && !pkInSchema) {
+      columnsSchema.push(`PRIMARY KEY (${this.#pkColumns.join()})`);
+    }
+
+    return `CREATE TABLE IF NOT EXISTS ${
+      this.tableName
+    } (${columnsSchema.join()})`;
   }
 
   /**
-   * gets or sets the table name (with prefix)
+   * @static
+   * @param {PG_Client | PG_Pool} dbConnection The pg client object returned by `pg.connect()` or a `pg.Pool`.
+   * With a pool, a client is checked out and released for each query.
+   * @param {Object} options Connection options
+   * @param {PG_Client | PG_Pool} options.replica Connection for read queries i.e. findAll, findById etc.
+   * Writes and transactions always use `dbConnection`
+   * @example
+   * PgormModel.useConnection(pgClient);
+   *
+   * // or with pools, reads go to replica
+   * PgormModel.useConnection(new Pool(primaryConfig), {
+   *   replica: new Pool(replicaConfig),
+   * });
+   * @static
    */
-  set tableName(tableName) {
-    this.#tableName = this.#tablePrefix + tableName;
-  }
+  static useConnection(dbConnection, options = {}) {
+    verifyParamType(options, 'object', 'options', 'useConnection');
 
-  get tableName() {
-    return this.#tableName;
+    PgormModel.#CLIENT = dbConnection;
+    PgormModel.#REPLICA = options.replica || null;
   }
 
   /**
+   * Runs the callback in a transaction. All the model methods, hooks and custom queries
+   * called inside the callback run on the same client.
+   * Commits if the callback resolves, rolls back if it throws.
+   * Nested calls create savepoints, so only the nested part is rolled back on failure.
+   * If connection is a `pg.Pool`, a client is checked out for the transaction.
+   * With a single `pg.Client`, transactions run one at a time, next one waits for the running one to end.
+   * Queries made outside the callback while it runs will still become part of the transaction.
+   * @param {Function} fn Async callback, receives transaction object i.e. `{ client, query }`
+   * @param {Object} options Transaction options
+   * @param {PG_Client | PG_Pool} options.connection Connection to run the transaction on,
+   * only models using this connection take part in it. Connection provided to `useConnection` by default
+   * @returns Value returned by the callback
+   * @async
    * @static
-   * @param {PG_Client} dbConnection The pg client object returned by `pg.connect()`
    * @example
-   * PgormModel.useConnection(pgClient);
+   * const book = await PgormModel.transaction(async (tx) => {
+   *   const user = await Users.create({ fullname: 'Ali Hassan' });
+   *   return Books.create({ title: 'Pgorm', user_id: user.id });
+   * });
+   *
+   * // transaction for models using another database
+   * await PgormModel.transaction(async () => {..}, { connection: analyticsPool });
+   */
+  static async transaction(fn, options = {}) {
+    verifyParamType(fn, 'function', 'fn', 'transaction');
+    verifyParamType(options, 'object', 'options', 'transaction');
+
+    const connection = options.connection || PgormModel.#CLIENT;
+    if (!connection) {
+      throw new PgormError(
+        'No connection found, call useConnection first',
+        'transaction'
+      );
+    }
+
+    const running = findTransaction(connection);
+    // statements of the transaction are reported like the queries of the models
+    const run = (client, text, params) =>
+      PgormModel.#runQuery(client, text, params, 'transaction');
+
+    // nested transaction, use savepoint of the running transaction
+    if (running) {
+      const savepoint = `pgorm_savepoint_${++running.savepoints}`;
+      await run(running.client, `SAVEPOINT ${savepoint}`);
+      try {
+        const result = await fn(running.tx);
+        await run(running.client, `RELEASE SAVEPOINT ${savepoint}`);
+        return result;
+      } catch (err) {
+        await run(running.client, `ROLLBACK TO SAVEPOINT ${savepoint}`);
+        throw err;
+      }
+    }
+
+    // check out a client if pool is provided
+    const pooled = isPool(connection);
+    // single client can't run concurrent transactions, they would interleave
+    const endTransaction = pooled ? null : await waitForClient(connection);
+    let client = connection;
+    if (pooled) {
+      try {
+        client = await connection.connect();
+      } catch (err) {
+        throw toDatabaseError(err, 'transaction');
+      }
+    }
+    const store = {
+      connection,
+      client,
+      savepoints: 0,
+      // transactions on other connections keep running inside this one
+      parent: transactionStorage.getStore(),
+      tx: {
+        client,
+        query: (text, params) => run(client, text, params),
+      },
+    };
+
+    let releaseErr;
+    try {
+      await run(client, 'BEGIN');
+      const result = await transactionStorage.run(store, () => fn(store.tx));
+      await run(client, 'COMMIT');
+      return result;
+    } catch (err) {
+      try {
+        await run(client, 'ROLLBACK');
+      } catch (rollbackErr) {
+        // client is broken, it must not go back to the pool
+        releaseErr = rollbackErr;
+      }
+      throw err;
+    } finally {
+      if (pooled) client.release(releaseErr);
+      else endTransaction();
+    }
+  }
+
+  /**
+   * Creates tables of all the defined models which are not synced yet, parent tables first
+   * according to the declared foreign keys, and then waits for the foreign keys to be created.
+   * Use it with `autoSync: false` to create the tables in dependency order.
+   * @returns Promise which resolves when all the tables and foreign keys are created
+   * @async
    * @static
+   * @example
+   * PgormModel.setOptions({ autoSync: false });
+   * // define models and associations...
+   *
+   * await PgormModel.syncAll();
    */
-  static useConnection(dbConnection) {
-    PgormModel.#CLIENT = dbConnection;
+  static async syncAll() {
+    const models = Object.values(PgormModel.models).filter(
+      (model) => model.columns
+    );
+
+    // order models so that parents come before their children
+    const ordered = [];
+    const visiting = new Set();
+    const visit = (model) => {
+      // already ordered, or a cycle which foreign keys can handle after creation
+      if (ordered.includes(model) || visiting.has(model)) return;
+
+      visiting.add(model);
+      model.#parentModels().forEach((parent) => {
+        if (models.includes(parent)) visit(parent);
+      });
+      visiting.delete(model);
+      ordered.push(model);
+    };
+    models.forEach(visit);
+
+    for (const model of ordered) {
+      await model.sync();
+    }
+
+    // foreign keys which failed before i.e. on a failed sync are created again
+    const foreignKeys = Object.values(PgormModel.models).flatMap((model) =>
+      Object.values(model.#foreignKeys).map((fk) =>
+        fk.failed ? model.#startForeignKey(fk) : fk.promise
+      )
+    );
+    await Promise.all(foreignKeys);
   }
 
   /**
    * Sets options for `PgormModel` class that will apply to all instances of this class.
-   * Use this method if you want to customize all models once.
+   * Use this method if you want to customize all models once. Other options apply to the models created
+   * after it, query instrumentation options i.e. `logger` and `onQuery` apply to the existing models too.
    * @param {globalOptions} options Configuration options.
    * @static
    */
@@ -239,8 +1915,11 @@ class PgormModel {
 
   /**
    * Creates new table for the model with given configurations. Alters the table if already exists according to the given configurations.
+   * CRUD methods wait for the table to be created, await it to handle the errors of table creation.
    * @param {columnsObj} columns Table columns with configurations
-   * @param {object} options Options to modify the behaviour of PgormModel
+   * @param {tableObj} options Indexes and constraints of the table i.e. `{ indexes, constraints }`
+   * @returns Promise which resolves when the table is ready
+   * @async
    * @example
    * Users.define({
    *   fullname: {
@@ -267,70 +1946,144 @@ class PgormModel {
    *   },
    * });
    */
-  define(columns = {}) {
-    const tableColumnsSchema = [];
+  define(columns = {}, options = {}) {
+    verifyParamType(columns, 'object', 'columns', 'define');
+    verifyParamType(options, 'object', 'options', 'define');
+    ['indexes', 'constraints'].forEach((key) => {
+      if (options[key] !== undefined && !Array.isArray(options[key])) {
+        throw new PgormError(`'${key}' Must be a array`, 'define');
+      }
+    });
     const columnValues = Object.keys(columns); // get all column names
 
-    // get timestamps names and generate schema
-    const timestampsSchema = Object.values(PgormModel.#timestamps).map(
-      (col) => `${col} TIMESTAMP`
+    // whole definition is validated before it is set, so failed define leaves the model as it was
+    // declarative columns get their schema and validations generated
+    const definedColumns = normalizeColumns(columns);
+
+    if (this.#pkColumns.length > 1 && !this.#isPkDefined(definedColumns)) {
+      throw new PgormError(
+        `Columns of composite primary key ${this.#pkColumns.join(
+          ', '
+        )} must be defined`,
+        'define'
+      );
+    }
+
+    // keys of the returned records, and their columns
+    const { camelCase } = this.#configOptions;
+    const queryColumns = this.#queryColumns(definedColumns);
+    const outputKeys = {};
+    const inputKeys = {};
+    for (const col of queryColumns) {
+      const key = camelCase ? toCamelCase(col) : col;
+      outputKeys[col] = key;
+      inputKeys[key] = col;
+    }
+    const recordKeys = this.#configOptions.instances
+      ? this.#recordKeysOf(columns, outputKeys)
+      : null;
+
+    const defined = { queryColumns, inputKeys };
+    const indexes = (options.indexes || []).map((index) =>
+      this.#normalizeIndex(index, defined)
+    );
+    const constraints = (options.constraints || []).map((constraint) =>
+      this.#normalizeConstraint(constraint, defined)
     );
 
-    this.columns = columns; // set columns to be accessibe in the class
+    // set columns to be accessibe in the class
+    this.columns = definedColumns;
 
     // columns for select query
-    let selectColumns = `${this.#pkName},${columnValues.join()}`;
+    let selectColumns = [
+      ...new Set([...this.#pkColumns, ...columnValues]),
+    ].join();
 
     // include timestamps columns if enabled
     if (this.#useTimestamps) {
       selectColumns += `,${Object.values(PgormModel.#timestamps).join()}`;
     }
+    if (this.#versionColumn) selectColumns += `,${this.#versionColumn}`;
 
     // select query string
     this.#selectQuery = `SELECT ${selectColumns} FROM ${this.tableName}`;
 
-    // prepare update cols string with placeholers i.e col=$1, col2=$2...
-    this.#updateCols = columnValues
-      .map((col, index) => `${col}=$${index + 1}`)
-      .join(',');
+    this.#outputKeys = outputKeys;
+    this.#inputKeys = inputKeys;
+    this.#recordKeys = recordKeys;
+    this.#transformsRows =
+      Boolean(camelCase || this.#recordKeys) ||
+      Object.values(this.columns).some((col) => col.hidden || col.get);
 
-    // prepare cols string for create query
-    this.#columnsPlaceholders = columnValues
-      .map((_, i) => '$' + (i + 1))
-      .join();
+    this.#indexes = indexes;
+    this.#constraints = constraints;
 
-    // calculate columns length so that it can be used in the class
-    this.#columnsLen = columnValues.length;
+    // create table right away, unless syncing is left to sync() or syncAll()
+    if (this.#configOptions.autoSync) {
+      return this.sync();
+    }
+    return Promise.resolve();
+  }
 
-    // loop through columns get the schema of every column
-    for (const [key, value] of Object.entries(columns)) {
-      tableColumnsSchema.push(value.schema);
+  /**
+   * Creates the table of this model, alters it if `alter` option is enabled.
+   * Called by `define` unless `autoSync` option is disabled. Runs only once per model,
+   * failed sync can be retried (models with `autoSync` retry it on the next CRUD call).
+   * @returns Promise which resolves when the table is ready
+   * @async
+   * @example
+   * const Users = new PgormModel('users', { autoSync: false });
+   * Users.define({..});
+   *
+   * await Users.sync();
+   */
+  sync() {
+    if (!this.columns) {
+      return Promise.reject(
+        new PgormError(
+          `Model ${this.modelName} is not defined, call define() first`,
+          'sync'
+        )
+      );
     }
+    // already syncing or synced
+    if (this.#syncPromise) return this.#syncPromise;
+
+    // get timestamps names and generate schema
+    const timestampsSchema = Object.values(PgormModel.#timestamps).map(
+      (col) => `${col} TIMESTAMP`
+    );
 
-    // columns schema for the create table query
-    let createTableCols = `${this.#pkName} SERIAL NOT NULL PRIMARY KEY,
-    ${tableColumnsSchema.join()}`;
+    // foreign keys of the failed sync are created again
+    Object.values(this.#foreignKeys)
+      .filter((fk) => fk.failed)
+      .forEach((fk) => this.#startForeignKey(fk));
 
-    // if timestamps are enabled, add timestamps as table columns
-    if (this.#useTimestamps) {
-      createTableCols += `,${timestampsSchema.join()}`;
-    }
+    // referenced tables must exist before this table is created
+    const referencedTables = this.#referencedModels().map((model) =>
+      this.#waitForTable(model, 'sync')
+    );
 
-    // create table if it doesnt exists
-    PgormModel.#CLIENT
-      .query(
-        `CREATE TABLE IF NOT EXISTS ${this.tableName} (${createTableCols})`
-      )
-      .then(() => {
-        this.isTableCreated = true;
+    // new table gets all of its indexes and constraints, existing ones only with alter option
+    let isNewTable = false;
 
-        // get all columns in the table
-        return PgormModel.#CLIENT.query(
+    this.#syncPromise = Promise.all(referencedTables)
+      .then(() => {
+        // get all columns in the table, none if the table doesn't exist yet
+        return this.#query(
           `SELECT column_name FROM information_schema.columns WHERE table_schema='${
             this.#tableSchema
-          }' AND table_name='${this.tableName}'`
+          }' AND table_name='${this.tableName}'`,
+          [],
+          'sync'
         );
       })
+      .then(async (result) => {
+        isNewTable = !result.rows.length;
+        // create table if it doesnt exists
+        await this.#query(this.getCreateTableQuery(), [], 'sync');
+        return result;
+      })
       .then(({ rows }) => {
         // get column names from the result
         const tableColumnsNames = rows.map((col) => col.column_name);
@@ -344,9 +2097,9 @@ class PgormModel {
           (ts) => !tableColumnsNames.includes(ts)
         );
 
-        // if any column (or timestamp) is missing in the table
+        // if any column (or timestamp) is missing in the existing table
         // and #configOptions.alter is set to true
-        if (this.#configOptions.alter) {
+        if (this.#configOptions.alter && !isNewTable) {
           let colsSchema = '';
           if (missingColumns.length) {
             // prepare schema for missing columns
@@ -364,12 +2117,26 @@ class PgormModel {
               .map((col) => `ADD COLUMN IF NOT EXISTS ${col}`)
               .join()}`;
           }
+          if (
+            this.#versionColumn &&
+            !tableColumnsNames.includes(this.#versionColumn)
+          ) {
+            if (colsSchema !== '') {
+              colsSchema += ',';
+            }
+            colsSchema += `ADD COLUMN ${
+              this.getColumnsSchema()[this.#versionColumn]
+            }`;
+          }
 
           // if colsSchema is not empty
           if (colsSchema && colsSchema !== '') {
             // add missing columns in the table
-            PgormModel.#CLIENT.query(`ALTER TABLE ${this.tableName} 
-          ${colsSchema}`);
+            return this.#query(
+              `ALTER TABLE ${this.tableName} ${colsSchema}`,
+              [],
+              'sync'
+            );
           }
         }
 
@@ -384,99 +2151,731 @@ class PgormModel {
         //   ${missingColumnsSchema}`);
         // }
       })
+      .then(() => this.#syncIndexes(isNewTable))
+      .then(() => {
+        this.isTableCreated = true;
+        this.#resolveSynced();
+      })
       .catch((err) => {
-        if (this.#enableErrorLogs) {
-          console.log(err);
-        }
-        throw new PgormError(
-          `Unable to define model for ${this.tableName}`,
-          'define'
+        this.#logError(err);
+        const error = new PgormError(
+          `Unable to define model for ${this.tableName}: ${err.message}`,
+          'define',
+          { cause: err }
         );
+        this.#rejectSynced(error);
+        // sync can be retried, models waiting for this table are rejected with the error
+        this.#syncPromise = null;
+        this.#resetSynced();
+        throw error;
       });
+
+    // rejection is handled by the awaiting CRUD calls, if define() is not awaited
+    this.#syncPromise.catch(() => {});
+    return this.#syncPromise;
   }
 
   /**
    * Gets all the results in the model
    * @param {Object} options Options to configure the query
+   * @param {whereObj} options.where Filter the results by where object
+   * @param {String | Array<String>} options.select Columns to get, all columns by default
+   * @param {String | Array | Object} options.orderBy Column(s) to order the results by
+   * @param {Number} options.limit Maximum number of results
+   * @param {Number} options.offset Number of results to skip
+   * @param {Object} options.cursor Keyset pagination, `{ column, after, before, direction }`.
+   * `column` defaults to primary key and must be unique, results are ordered by it so `orderBy` can't be used with it.
+   * @param {Array<String | Object>} options.include Associations to load with the results, see `hasMany`.
+   * Alias of the association or `{ association, where, select, orderBy, include }`
+   * @param {Boolean} options.withDeleted Include soft deleted results, for paranoid models
+   * @param {Boolean} options.onlyDeleted Get only soft deleted results, for paranoid models
    * @returns Array of results or an empty array
    * @async
    * @example
    * const users = await Users.findAll();
+   *
+   * const adults = await Users.findAll({
+   *   where: { age: { gte: 18 } },
+   *   select: ['id', 'fullname'],
+   *   orderBy: [['age', 'DESC'], 'fullname'], // or { age: 'DESC', fullname: 'ASC' }
+   *   limit: 10,
+   *   offset: 20,
+   * });
+   *
+   * // next page after the last user of previous page
+   * const nextPage = await Users.findAll({
+   *   cursor: { after: lastUser.id },
+   *   limit: 10,
+   * });
+   *
+   * // users with their books and roles
+   * const usersWithBooks = await Users.findAll({
+   *   include: ['roles', { association: 'books', where: { published: true } }],
+   * });
    */
-  async findAll(options) {
-    const { rows } = await PgormModel.#CLIENT.query(
-      `${this.#selectQuery} ${this.#checkForDeletion('WHERE')}`
-    );
+  async findAll(options = {}) {
+    verifyParamType(options, 'object', 'options', 'findAll');
+    await this.#ready('findAll');
+
+    options = await this.#runHooks('beforeFind', { ...options }, 'findAll');
+    const rows = await this.#findRows(options, 'findAll');
+
+    return this.#runHooks('afterFind', this.#serializeRows(rows), 'findAll');
+  }
+
+  // runs the find query with includes, without hooks, rows are not serialized
+  async #findRows(options, methodName) {
+    const params = [];
+    const query = this.#findQuery(options, params, methodName);
+
+    const { rows } = await this.#query(query, params, methodName, true);
+
+    // rows were fetched in reverse order to go backwards, restore the order
+    if (options.cursor?.before !== undefined) {
+      rows.reverse();
+    }
+
+    if (options.include) {
+      await this.#loadIncludes(rows, options.include, methodName);
+    }
     return rows;
   }
 
+  /**
+   * Gets the results in the model along with total count of the matching results.
+   * Total count ignores limit, offset and cursor, useful for paginated responses.
+   * @param {Object} options Same options as `findAll`
+   * @returns Object containing rows and total i.e. `{ rows, total }`
+   * @async
+   * @example
+   * const { rows, total } = await Users.findAndCount({
+   *   where: { age: { gte: 18 } },
+   *   limit: 10,
+   *   offset: 20,
+   * });
+   */
+  async findAndCount(options = {}) {
+    verifyParamType(options, 'object', 'options', 'findAndCount');
+    await this.#ready('findAndCount');
+
+    options = await this.#runHooks(
+      'beforeFind',
+      { ...options },
+      'findAndCount'
+    );
+
+    const params = [];
+    const whereClause = this.#whereClause(
+      options.where,
+      params,
+      'findAndCount',
+      options
+    );
+
+    const [rows, { rows: countRows }] = await Promise.all([
+      this.#findRows(options, 'findAndCount'),
+      this.#query(
+        `SELECT COUNT(*) AS total FROM ${this.tableName} ${whereClause}`,
+        params,
+        'findAndCount',
+        true
+      ),
+    ]);
+
+    return {
+      rows: await this.#runHooks(
+        'afterFind',
+        this.#serializeRows(rows),
+        'findAndCount'
+      ),
+      total: Number(countRows[0].total),
+    };
+  }
+
   /**
    * Gets all the results in the model, matching whereClause
-   * @param {String} whereClause SQL query starting with 'WHERE'
-   * @param {Array} paramsArray Array of values for the query placeholders
+   * @param {String | whereObj} whereClause SQL query starting with 'WHERE' or where object.
+   * With paranoid option or scopes, the condition is wrapped in parentheses and checks are added
+   * after it, so it can't have ORDER BY or LIMIT
+   * @param {Array} paramsArray Array of values for the query placeholders, not needed with where object
+   * @param {Object} options Options i.e. `withDeleted`, `onlyDeleted`, same as `findAll`.
+   * Takes place of paramsArray with where object
    * @returns Array of results or an emtpy array
    * @async
    * @example
    * const users = await Users.findAllWhere('WHERE age>=$1', [20]);
+   *
+   * // or using where object
+   * const users = await Users.findAllWhere({ age: { gte: 20 } });
+   *
+   * const trashedUsers = await Users.findAllWhere({ age: { gte: 20 } }, { onlyDeleted: true });
    */
-  async findAllWhere(whereClause, paramsArray) {
+  async findAllWhere(whereClause, paramsArray, options = {}) {
+    await this.#ready('findAllWhere');
+
+    // where object is provided, null is not a where object
+    if (whereClause !== null && typeof whereClause === 'object') {
+      return this.findAll({ ...paramsArray, where: whereClause });
+    }
+
     verifyParamType(whereClause, 'string', 'whereClause', 'findAllWhere');
     verifyParamType(paramsArray, 'object', 'paramsArray', 'findAllWhere');
+    verifyParamType(options, 'object', 'options', 'findAllWhere');
 
-    const { rows } = await PgormModel.#CLIENT.query(
-      `${this.#selectQuery} ${whereClause} ${this.#checkForDeletion()}`,
-      paramsArray
+    options = await this.#runHooks(
+      'beforeFind',
+      { ...options },
+      'findAllWhere'
+    );
+
+    // scope params come after the given params
+    const params = [...paramsArray];
+    const checks = `${this.#checkForDeletion(
+      'and',
+      options
+    )} ${this.#checkScopes(
+      'and',
+      params,
+      'findAllWhere',
+      options.where
+    )}`.trim();
+    // given condition is wrapped, so the checks apply to all of its branches i.e. 'a=$1 OR b=$2'
+    if (checks) {
+      const condition = whereClause
+        .trim()
+        .replace(/^where\b/i, '')
+        .trim();
+      whereClause = `WHERE (${condition || 'TRUE'}) ${checks}`;
+    }
+    const { rows } = await this.#query(
+      `${this.#selectQuery} ${whereClause}`,
+      params,
+      'findAllWhere',
+      true
+    );
+    return this.#runHooks(
+      'afterFind',
+      this.#serializeRows(rows),
+      'findAllWhere'
     );
-    return rows;
   }
 
   /**
    * Gets the one matching result
-   * @param {String} column Name of the column to search
-   * @param {String} value Value for the column to match
+   * @param {String | whereObj} column Name of the column to search or where object
+   * @param {String} value Value for the column to match, not needed with where object
+   * @param {Object} options Options i.e. `withDeleted`, `onlyDeleted`, same as `findAll`.
+   * Takes place of value with where object
    * @returns Object or null
    * @async
    * @example
    * const user = await Users.findOne('fullname', 'Ali Hassan');
+   *
+   * // or using where object
+   * const user = await Users.findOne({ fullname: 'Ali Hassan', age: { gt: 20 } });
+   *
+   * const userEvenIfDeleted = await Users.findOne({ fullname: 'Ali Hassan' }, { withDeleted: true });
    */
-  async findOne(column, value) {
+  async findOne(column, value, options = {}) {
+    await this.#ready('findOne');
+
+    // where object is provided, hooks get it in options.where, null is not a where object
+    if (isPlainObject(column)) {
+      const findOptions = await this.#runHooks(
+        'beforeFind',
+        { ...value, where: column },
+        'findOne'
+      );
+
+      const params = [];
+      const whereClause = this.#whereClause(
+        findOptions.where,
+        params,
+        'findOne',
+        findOptions
+      );
+
+      const { rows } = await this.#query(
+        `${this.#selectQuery} ${whereClause} LIMIT 1`,
+        params,
+        'findOne',
+        true
+      );
+      return this.#runHooks(
+        'afterFind',
+        this.#serialize(rows[0] || null),
+        'findOne'
+      );
+    }
+
     verifyParamType(column, 'string', 'column', 'findOne');
+    column = this.#toColumn(column);
     // check if column is in this.columns;
     if (!this.columns[column]) {
       throw new PgormError('Invalid column name', 'findOne');
     }
 
-    const { rows } = await PgormModel.#CLIENT.query(
-      `${this.#selectQuery} where ${column}=$1 ${this.#checkForDeletion()}`,
-      [value]
+    options = await this.#runHooks('beforeFind', { ...options }, 'findOne');
+
+    const params = [value];
+    const { rows } = await this.#query(
+      `${this.#selectQuery} where ${column}=$1 ${this.#checkForDeletion(
+        'and',
+        options
+      )} ${this.#checkScopes('and', params, 'findOne', options.where)}`,
+      params,
+      'findOne',
+      true
+    );
+    return this.#runHooks(
+      'afterFind',
+      this.#serialize(rows[0] || null),
+      'findOne'
+    );
+  }
+
+  /**
+   * Gets the result from the model against the given id.
+   * Return null if no result found.
+   * Id is a number for serial keys, string for uuid and string keys, number or numeric string for bigint keys,
+   * and an object of key columns for composite primary keys. Same for all the `*ById` methods.
+   * @param {Number | String | Object} id Id of the result
+   * @param {Object} options Options to configure the query
+   * @param {Array<String | Object>} options.include Associations to load with the result, same as `findAll`
+   * @param {Boolean} options.withDeleted Get the result even if it is soft deleted, for paranoid models
+   * @param {Boolean} options.onlyDeleted Get the result only if it is soft deleted, for paranoid models
+   * @returns Object or null
+   * @async
+   * @example
+   * const user = await Users.findById(12);
+   *
+   * const userWithBooks = await Users.findById(12, { include: ['books'] });
+   *
+   * // composite primary key i.e. pkName: ['tenant_id', 'user_id']
+   * const membership = await Memberships.findById({ tenant_id: 1, user_id: 12 });
+   */
+  async findById(id, options = {}) {
+    verifyParamType(options, 'object', 'options', 'findById');
+    await this.#ready('findById');
+    this.#verifyId(id, 'findById');
+
+    options = await this.#runHooks('beforeFind', { ...options }, 'findById', {
+      id,
+    });
+
+    const params = [];
+    const { rows } = await this.#query(
+      `${this.#selectQuery} where ${this.#idCondition(
+        id,
+        params
+      )} ${this.#checkForDeletion('and', options)} ${this.#checkScopes(
+        'and',
+        params,
+        'findById',
+        options.where
+      )}`,
+      params,
+      'findById',
+      true
+    );
+
+    if (rows[0] && options.include) {
+      await this.#loadIncludes(rows, options.include, 'findById');
+    }
+    return this.#runHooks(
+      'afterFind',
+      this.#serialize(rows[0] || null),
+      'findById'
+    );
+  }
+
+  /**
+   * Iterates over the matching records in batches, without loading all of them in memory.
+   * Uses a server side cursor with a pool (a client is checked out till the end) or in a transaction,
+   * otherwise keyset batching on the primary key (or `cursor.column`), in its order.
+   * Breaking out of the loop early closes the cursor and releases the client.
+   * @param {whereObj} where Filter the records, all records by default
+   * @param {Object} options Options to configure the query, same as `findAll` except `cursor`
+   * @param {Number} options.batchSize Number of records fetched at once, 1000 by default
+   * @param {'cursor' | 'keyset'} options.strategy Force the iteration strategy, cursor needs a pool or a transaction
+   * @param {Object} options.cursor Column to batch by with keyset strategy i.e. `{ column: 'created_at' }`,
+   * it must be unique. `orderBy`, `limit` and `offset` are not supported with keyset strategy
+   * @returns Async iterator of the records
+   * @example
+   * for await (const user of Users.iterate({ status: 'active' }, { batchSize: 500 })) {
+   *   await sendNewsletter(user);
+   * }
+   */
+  iterate(where = {}, options = {}) {
+    // batches are fetched in the context of the caller, with its transaction and scopes
+    return bindAsyncIterator(this.#iterateRecords(where, options));
+  }
+
+  async *#iterateRecords(where, options) {
+    verifyParamType(where, 'object', 'where', 'iterate');
+    verifyParamType(options, 'object', 'options', 'iterate');
+    await this.#ready('iterate');
+
+    const { batchSize = 1000 } = options;
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new PgormError(`'batchSize' Must be a positive integer`, 'iterate');
+    }
+
+    const findOptions = await this.#runHooks(
+      'beforeFind',
+      { ...options, where },
+      'iterate'
+    );
+
+    const connection = this.#client(true);
+    const inTransaction = Boolean(findTransaction(this.#connection()));
+    const strategy =
+      options.strategy ||
+      (inTransaction || isPool(connection) ? 'cursor' : 'keyset');
+
+    if (strategy === 'keyset') {
+      yield* this.#iterateKeyset(findOptions, batchSize);
+    } else if (strategy === 'cursor') {
+      if (!inTransaction && !isPool(connection)) {
+        throw new PgormError(
+          'cursor strategy needs a pg.Pool or a running transaction',
+          'iterate'
+        );
+      }
+      yield* this.#iterateCursor(
+        findOptions,
+        batchSize,
+        connection,
+        inTransaction
+      );
+    } else {
+      throw new PgormError(`Invalid strategy '${strategy}'`, 'iterate');
+    }
+  }
+
+  // fetches batches ordered by a unique column, each batch starts after the last one
+  async *#iterateKeyset(options, batchSize) {
+    if (
+      options.orderBy ||
+      options.limit !== undefined ||
+      options.offset !== undefined
+    ) {
+      throw new PgormError(
+        `'orderBy', 'limit' and 'offset' are not supported by keyset strategy`,
+        'iterate'
+      );
+    }
+    const column = options.cursor?.column
+      ? this.#toColumn(options.cursor.column)
+      : this.#singlePk('iterate');
+    const select = options.select && [].concat(options.select);
+    if (select && !select.map((col) => this.#toColumn(col)).includes(column)) {
+      throw new PgormError(`'select' must include ${column}`, 'iterate');
+    }
+
+    let after;
+    while (true) {
+      const rows = await this.#findRows(
+        { ...options, cursor: { column, after }, limit: batchSize },
+        'iterate'
+      );
+      const lastRow = rows[rows.length - 1];
+
+      yield* await this.#runHooks(
+        'afterFind',
+        this.#serializeRows(rows),
+        'iterate'
+      );
+      if (rows.length < batchSize) return;
+      after = lastRow[column];
+    }
+  }
+
+  // fetches batches from a server side cursor, on its own transaction unless one is running
+  async *#iterateCursor(options, batchSize, connection, inTransaction) {
+    const params = [];
+    const query = this.#findQuery(options, params, 'iterate');
+    const cursorName = `pgorm_cursor_${++cursorCount}`;
+
+    let client = connection;
+    if (!inTransaction) {
+      try {
+        client = await connection.connect();
+      } catch (err) {
+        throw toDatabaseError(err, 'iterate', this);
+      }
+    }
+    const run = (text, values = []) =>
+      this.#query(text, values, 'iterate', true, client);
+
+    let declared = false;
+    try {
+      if (!inTransaction) await run('BEGIN');
+      await run(`DECLARE ${cursorName} NO SCROLL CURSOR FOR ${query}`, params);
+      declared = true;
+
+      while (true) {
+        const { rows } = await run(`FETCH ${batchSize} FROM ${cursorName}`);
+        if (rows.length && options.include) {
+          await this.#loadIncludes(rows, options.include, 'iterate');
+        }
+
+        yield* await this.#runHooks(
+          'afterFind',
+          this.#serializeRows(rows),
+          'iterate'
+        );
+        if (rows.length < batchSize) return;
+      }
+    } finally {
+      // runs on completion, errors and early break of the consumer
+      if (inTransaction) {
+        // failure means the transaction is aborted, which is reported by the caller
+        if (declared) await run(`CLOSE ${cursorName}`).catch(() => {});
+      } else {
+        // nothing is written, rollback ends the transaction and closes the cursor
+        let cleanupError;
+        await run('ROLLBACK').catch((err) => (cleanupError = err));
+        // client which couldn't be cleaned up is discarded by the pool
+        client.release(cleanupError);
+      }
+    }
+  }
+
+  /**
+   * Streams the matching records, same as `iterate` but as a readable stream in object mode.
+   * Destroying the stream closes the cursor and releases the client.
+   * @param {whereObj} where Filter the records, all records by default
+   * @param {Object} options Options of `iterate` i.e. `batchSize`
+   * @returns Readable stream of the records
+   * @example
+   * const { pipeline } = require('stream/promises');
+   *
+   * await pipeline(Users.stream({ status: 'active' }), toCsv, fs.createWriteStream('users.csv'));
+   */
+  stream(where = {}, options = {}) {
+    return Readable.from(this.iterate(where, options));
+  }
+
+  /**
+   * Counts the records matching the where object, soft deleted records are not counted in paranoid models
+   * @param {whereObj} where Filter the records to count, all records by default
+   * @param {Object} options Options i.e. `withDeleted`, `onlyDeleted`
+   * @returns Number of records
+   * @async
+   * @example
+   * const activeUsers = await Users.count({ status: 'active' });
+   */
+  count(where = {}, options = {}) {
+    return this.#aggregateValue('count', '*', where, options, 'count');
+  }
+
+  /**
+   * Checks if any record matches the where object
+   * @param {whereObj} where Filter the records
+   * @param {Object} options Options i.e. `withDeleted`, `onlyDeleted`
+   * @returns boolean
+   * @async
+   * @example
+   * if (await Users.exists({ email: 'ali@acme.com' })) {
+   *   // email is taken
+   * }
+   */
+  async exists(where = {}, options = {}) {
+    verifyParamType(where, 'object', 'where', 'exists');
+    verifyParamType(options, 'object', 'options', 'exists');
+    await this.#ready('exists');
+
+    const params = [];
+    const { rows } = await this.#query(
+      `SELECT EXISTS (SELECT 1 FROM ${this.tableName} ${this.#whereClause(
+        where,
+        params,
+        'exists',
+        options
+      )}) AS exists`,
+      params,
+      'exists',
+      true
     );
-    return rows[0] || null;
+    return rows[0].exists;
+  }
+
+  /**
+   * Sums the column of the records matching the where object
+   * @param {String} column Name of the column
+   * @param {whereObj} where Filter the records, all records by default
+   * @param {Object} options Options i.e. `withDeleted`, `onlyDeleted`
+   * @returns Number, or null if no records matched
+   * @async
+   * @example
+   * const revenue = await Orders.sum('amount', { status: 'paid' });
+   */
+  sum(column, where = {}, options = {}) {
+    return this.#aggregateValue('sum', column, where, options, 'sum');
+  }
+
+  /**
+   * Averages the column of the records matching the where object
+   * @param {String} column Name of the column
+   * @param {whereObj} where Filter the records, all records by default
+   * @param {Object} options Options i.e. `withDeleted`, `onlyDeleted`
+   * @returns Number, or null if no records matched
+   * @async
+   * @example
+   * const averageAge = await Users.avg('age');
+   */
+  avg(column, where = {}, options = {}) {
+    return this.#aggregateValue('avg', column, where, options, 'avg');
+  }
+
+  /**
+   * Gets the minimum value of the column in the records matching the where object
+   * @param {String} column Name of the column
+   * @param {whereObj} where Filter the records, all records by default
+   * @param {Object} options Options i.e. `withDeleted`, `onlyDeleted`
+   * @returns Value as returned by pg, or null if no records matched
+   * @async
+   * @example
+   * const firstSignup = await Users.min('created_at');
+   */
+  min(column, where = {}, options = {}) {
+    return this.#aggregateValue('min', column, where, options, 'min');
+  }
+
+  /**
+   * Gets the maximum value of the column in the records matching the where object
+   * @param {String} column Name of the column
+   * @param {whereObj} where Filter the records, all records by default
+   * @param {Object} options Options i.e. `withDeleted`, `onlyDeleted`
+   * @returns Value as returned by pg, or null if no records matched
+   * @async
+   * @example
+   * const oldestAge = await Users.max('age', { status: 'active' });
+   */
+  max(column, where = {}, options = {}) {
+    return this.#aggregateValue('max', column, where, options, 'max');
   }
 
   /**
-   * Gets the result from the model against the given id.
-   * Return null if no result found.
-   * @param {Number} id Id of the result
-   * @returns Object or null
+   * Runs aggregate functions on the records, grouped by the given columns.
+   * Functions are `count`, `sum`, `avg`, `min` and `max`, only `count` accepts '*'.
+   * `having` and `orderBy` can use both the group columns and the aggregate names.
+   * @param {Object} options Aggregate options
+   * @param {Object} options.aggregates Aggregates by their names i.e. `{ total: { count: '*' }, avgAge: { avg: 'age' } }`
+   * @param {String | Array<String>} options.groupBy Column(s) to group the records by
+   * @param {whereObj} options.where Filter the records before grouping
+   * @param {whereObj} options.having Filter the groups, by group columns and aggregate names
+   * @param {String | Array | Object} options.orderBy Order of the groups, same as `findAll`
+   * @param {Number} options.limit Max number of groups
+   * @param {Boolean} options.withDeleted Include soft deleted records, for paranoid models
+   * @param {Boolean} options.onlyDeleted Only soft deleted records, for paranoid models
+   * @returns Array of groups i.e. `[{ status: 'active', total: 12, avgAge: 27.5 }]`
    * @async
    * @example
-   * const user = await Users.findById(12);
+   * const usersByCity = await Users.aggregate({
+   *   groupBy: 'city',
+   *   aggregates: { total: { count: '*' }, avgAge: { avg: 'age' } },
+   *   having: { total: { gte: 10 } },
+   *   orderBy: [['total', 'DESC']],
+   * });
    */
-  async findById(id) {
-    verifyParamType(id, 'number', 'id', 'findById');
+  async aggregate(options = {}) {
+    verifyParamType(options, 'object', 'options', 'aggregate');
+    await this.#ready('aggregate');
+
+    const { aggregates = {}, having, orderBy, limit } = options;
+    verifyParamType(aggregates, 'object', 'aggregates', 'aggregate');
+    const groupBy =
+      typeof options.groupBy === 'string'
+        ? [options.groupBy]
+        : options.groupBy || [];
+    // group keys and aggregate names, mapped to their SQL expressions
+    const expressions = {};
+    groupBy.forEach((key) => {
+      expressions[key] = this.#toColumn(key);
+      this.#verifyColumn(expressions[key], 'aggregate');
+    });
+    const functions = {};
+
+    for (const [name, aggregate] of Object.entries(aggregates)) {
+      const entries = isPlainObject(aggregate) ? Object.entries(aggregate) : [];
+      if (entries.length !== 1 || !/^\w+$/.test(name)) {
+        throw new PgormError(
+          `Invalid aggregate '${name}', must be like { total: { count: '*' } }`,
+          'aggregate'
+        );
+      }
+      const [fn, column] = entries[0];
+      expressions[name] = this.#aggregateExpression(fn, column, 'aggregate');
+      functions[name] = fn;
+    }
+    if (!Object.keys(functions).length) {
+      throw new PgormError('No aggregates provided', 'aggregate');
+    }
 
-    const { rows } = await PgormModel.#CLIENT.query(
-      `${this.#selectQuery} where ${
-        this.#pkName
-      }=$1 ${this.#checkForDeletion()}`,
-      [id]
+    const selects = [
+      ...groupBy.map((key) =>
+        expressions[key] === key ? key : `${expressions[key]} AS "${key}"`
+      ),
+      ...Object.keys(functions).map(
+        (name) => `${expressions[name]} AS "${name}"`
+      ),
+    ];
+
+    const params = [];
+    let query = `SELECT ${selects.join()} FROM ${
+      this.tableName
+    } ${this.#whereClause(options.where, params, 'aggregate', options)}`;
+
+    if (groupBy.length) {
+      query += ` GROUP BY ${groupBy.map((key) => expressions[key]).join()}`;
+    }
+
+    const havingConditions = buildWhere(
+      having,
+      expressions,
+      params,
+      'aggregate'
     );
-    return rows[0] || null;
+    if (havingConditions) query += ` HAVING ${havingConditions}`;
+
+    if (orderBy) {
+      const order = this.#normalizeOrder(
+        orderBy,
+        'aggregate',
+        Object.keys(expressions)
+      );
+      query += ` ORDER BY ${order
+        .map(([col, dir]) => `${expressions[col]} ${dir}`)
+        .join()}`;
+    }
+
+    if (limit !== undefined) {
+      if (!Number.isInteger(limit) || limit < 0) {
+        throw new PgormError(`'limit' Must be a positive integer`, 'aggregate');
+      }
+      params.push(limit);
+      query += ` LIMIT $${params.length}`;
+    }
+
+    const { rows } = await this.#query(query, params, 'aggregate', true);
+
+    return rows.map((row) => {
+      for (const [name, fn] of Object.entries(functions)) {
+        row[name] = toAggregateValue(fn, row[name]);
+      }
+      return row;
+    });
   }
 
   /**
-   * Updates the record by given id
-   * @param {Number} id Id of the record to be updated
+   * Updates the record by given id. Only the provided columns are updated,
+   * validations run for the provided columns only. Soft deleted record is not updated.
+   * With `version` option, version of the record is incremented on every update. If the version
+   * (as read with the record) is provided in values, record is updated only if it still has
+   * that version, otherwise `StaleRecordError` is thrown.
+   * @param {Number | String | Object} id Id of the record to be updated
    * @param {Object} values New values for the record
    * @returns Updated record or null
    * @async
@@ -488,39 +2887,154 @@ class PgormModel {
    * } else {
    *    // user not found with that id...
    * }
+   *
+   * // optimistic locking, with version option
+   * const user = await Users.findById(12);
+   * await Users.updateById(12, { fullname: 'Ali Hussain', version: user.version });
    */
   async updateById(id, values) {
-    verifyParamType(id, 'number', 'id', 'updateById');
+    verifyParamType(values, 'object', 'values', 'updateById');
+    await this.#ready('updateById');
+    this.#verifyId(id, 'updateById');
+    values = this.#toColumns(values);
+
+    await this.#validate(values, 'updateById', { onlyProvided: true, id });
+    values = await this.#runHooks('beforeUpdate', values, 'updateById', { id });
+    values = await this.#runHooks('beforeSave', values, 'updateById', { id });
+
+    const params = [];
+    const setClause = this.#setClause(this.#applySetters(values), params);
+
+    // nothing to update, return the record as is
+    if (!setClause) {
+      const { rows } = await this.#query(
+        `${this.#selectQuery} where ${this.#idCondition(
+          id,
+          params
+        )} ${this.#checkForDeletion()} ${this.#checkScopes(
+          'and',
+          params,
+          'updateById'
+        )}`,
+        params,
+        'updateById'
+      );
+      return this.#serialize(rows[0] || null);
+    }
+
+    const idCondition = this.#idCondition(id, params);
+
+    // record is updated only if its version is not changed since it was read
+    const version = this.#versionColumn && values[this.#versionColumn];
+    let versionCheck = '';
+    if (this.#versionColumn && version !== undefined) {
+      if (!Number.isInteger(version)) {
+        throw new PgormError(
+          `'${this.#versionColumn}' Must be a integer`,
+          'updateById'
+        );
+      }
+      params.push(version);
+      versionCheck = `and ${this.#versionColumn}=$${params.length}`;
+    }
+
+    // soft deleted records are not updated
+    const updateQuery = `UPDATE ${this.tableName} 
+        set ${setClause}
+        where ${idCondition} ${versionCheck} ${this.#checkForDeletion()} ${this.#checkScopes(
+      'and',
+      params,
+      'updateById'
+    )} RETURNING *`;
 
-    this.#validate(values);
-    await this.#validateBeforeUpdate?.(PgormModel.#CLIENT, values);
+    const { rows } = await this.#query(updateQuery, params, 'updateById');
 
-    const len = this.#columnsLen;
-    const arrangedValues = this.#arrangeByColumns(values);
+    if (!rows[0] && versionCheck) {
+      await this.#checkStale(id, version, 'updateById');
+    }
 
-    let columns = `${this.#updateCols}`;
-    let updateValues = arrangedValues;
+    return rows[0]
+      ? this.#runHooks('afterUpdate', this.#serialize(rows[0]), 'updateById')
+      : null;
+  }
 
-    // if timestamps are enabled, update value for updatedAt col
-    if (this.#useTimestamps) {
-      columns += `,${PgormModel.#timestamps.updatedAt}=$${len + 1}`;
-      updateValues = [...arrangedValues, getTimestamp()];
+  /**
+   * Updates all the records matching the where object. Only the provided columns are updated.
+   * Soft deleted records are not updated in paranoid models.
+   * @param {whereObj} where Filter the records to update, `{}` updates all the records
+   * @param {Object} values New values for the records
+   * @returns Array of updated records
+   * @async
+   * @example
+   * const updatedUsers = await Users.updateWhere(
+   *   { status: 'trial', created_at: { lt: '2022-01-01' } },
+   *   { status: 'expired' }
+   * );
+   */
+  async updateWhere(where, values) {
+    // null must not update the whole table, all the records are matched by {} only
+    if (!isPlainObject(where)) {
+      throw new PgormError(
+        `'where' Must be a object, use {} to update all the records`,
+        'updateWhere'
+      );
+    }
+    verifyParamType(values, 'object', 'values', 'updateWhere');
+    await this.#ready('updateWhere');
+    values = this.#toColumns(values);
+
+    await this.#validate(values, 'updateWhere', { onlyProvided: true, where });
+    values = await this.#runHooks('beforeUpdate', values, 'updateWhere', {
+      where,
+    });
+    values = await this.#runHooks('beforeSave', values, 'updateWhere', {
+      where,
+    });
+
+    const params = [];
+    const setClause = this.#setClause(this.#applySetters(values), params);
+    if (!setClause) {
+      throw new PgormError('No columns provided to update', 'updateWhere');
     }
 
-    const updateQuery = `UPDATE ${this.tableName} 
-        set ${columns}
-        where ${this.#pkName}=$${len + 2} RETURNING *`;
+    const whereClause = this.#whereClause(where, params, 'updateWhere');
+    const { rows } = await this.#query(
+      `UPDATE ${this.tableName} set ${setClause} ${whereClause} RETURNING *`,
+      params,
+      'updateWhere'
+    );
 
-    const { rows } = await PgormModel.#CLIENT.query(updateQuery, [
-      ...updateValues,
-      id,
-    ]);
+    return this.#runHooksForEach(
+      'afterUpdate',
+      this.#serializeRows(rows),
+      'updateWhere'
+    );
+  }
 
-    return rows[0] || null;
+  /**
+   * Builds new record bound to the model without saving it, `save()` inserts it.
+   * Needs `instances` option to be enabled, and model to be defined
+   * @param {Object} values Values for the new record
+   * @returns PgormRecord
+   * @example
+   * const user = Users.build({ fullname: 'Huzaifa Tayyab' });
+   * user.age = 23;
+   * await user.save();
+   */
+  build(values = {}) {
+    verifyParamType(values, 'object', 'values', 'build');
+    if (!this.#recordKeys) {
+      throw new PgormError(
+        'modalOptions.instances needs to be enabled and model to be defined to build records.',
+        'build'
+      );
+    }
+    return new PgormRecord(this, { ...values }, { keys: this.#recordKeys });
   }
 
   /**
-   * Creates new record
+   * Creates new record. Declarative columns (with `type`) missing in values get their default value,
+   * columns defined with `schema` are inserted as null
    * @param {Object} values Values for the new record
    * @returns Created record or null
    * @async
@@ -529,50 +3043,159 @@ class PgormModel {
    */
   async create(values) {
     verifyParamType(values, 'object', 'values', 'create');
+    await this.#ready('create');
+    values = this.#toColumns(values);
+
+    await this.#validate(values, 'create'); // run user input validations
+    values = await this.#runHooks('beforeCreate', values, 'create'); // run record validations
+    values = await this.#runHooks('beforeSave', values, 'create');
+
+    const params = [];
+    const insertQuery = this.#insertQuery(
+      [this.#applySetters(values)],
+      {},
+      params,
+      'create'
+    );
+    const { rows } = await this.#query(insertQuery, params, 'create');
 
-    this.#validate(values); // run user input validations
-    await this.#validateBeforeCreate?.(PgormModel.#CLIENT, values); // run record validations
+    return rows[0]
+      ? this.#runHooks('afterCreate', this.#serialize(rows[0]), 'create')
+      : null;
+  }
 
-    const len = this.#columnsLen;
-    const arrangedValues = this.#arrangeByColumns(values);
-    const timestamp = getTimestamp();
-    const timestampsCols = Object.values(PgormModel.#timestamps);
-    const columns = Object.keys(this.columns);
+  /**
+   * Creates multiple records using multi row inserts, in chunks.
+   * Column validations and beforeCreate hook run for every record before inserting.
+   * If more than one chunk is needed, all chunks are inserted in a transaction.
+   * @param {Array<Object>} valuesArray Values for the new records
+   * @param {Object} options Insert options
+   * @param {Number} options.chunkSize Number of records per insert query, calculated from columns count by default (max 1000)
+   * @param {Boolean} options.ignoreDuplicates Skip records which conflict with existing ones
+   * @param {String | Array<String>} options.conflictTarget Column(s) of unique constraint to check conflict on
+   * @param {Array<String>} options.update Columns to update on conflict, requires conflictTarget
+   * @returns Array of created records, skipped records are not included
+   * @async
+   * @example
+   * const users = await Users.createMany([
+   *   { fullname: 'Huzaifa Tayyab', age: 23 },
+   *   { fullname: 'Ali Hassan', age: 25 },
+   * ]);
+   *
+   * // insert or ignore
+   * await Users.createMany(importedUsers, { ignoreDuplicates: true });
+   */
+  async createMany(valuesArray, options = {}) {
+    verifyParamType(valuesArray, 'object', 'valuesArray', 'createMany');
+    verifyParamType(options, 'object', 'options', 'createMany');
+    await this.#ready('createMany');
 
-    // placeholders for timestamp cols i.e. $(len+1), $(len+2);
-    // i is 0 based so added one in it
-    const timestampPlaceholders = timestampsCols
-      .map((_, i) => '$' + (len + i + 1))
-      .join();
+    if (!Array.isArray(valuesArray)) {
+      throw new PgormError(`'valuesArray' Must be a array`, 'createMany');
+    }
+    const { chunkSize: givenChunkSize } = options;
+    if (
+      givenChunkSize !== undefined &&
+      (!Number.isInteger(givenChunkSize) || givenChunkSize < 1)
+    ) {
+      throw new PgormError(
+        `'chunkSize' Must be a positive integer`,
+        'createMany'
+      );
+    }
+    if (!valuesArray.length) return [];
+
+    const records = [];
+    for (let values of valuesArray) {
+      verifyParamType(values, 'object', 'values', 'createMany');
+      values = this.#toColumns(values);
+      await this.#validate(values, 'createMany'); // run user input validations
+      values = await this.#runHooks('beforeCreate', values, 'createMany'); // run record validations
+      values = await this.#runHooks('beforeSave', values, 'createMany');
+      records.push(this.#applySetters(values));
+    }
 
-    let insertColumns = columns.join();
-    let insertPlaceholders = this.#columnsPlaceholders;
-    let insertValues = arrangedValues;
+    // postgres allows 65535 params per query
+    const colsCount =
+      this.#valueColumns().length + (this.#useTimestamps ? 2 : 0);
+    const chunkSize =
+      givenChunkSize ||
+      Math.max(1, Math.min(1000, Math.floor(65535 / colsCount)));
 
-    // if timestamps are enables, append timestamps config in query
-    if (this.#useTimestamps) {
-      // alphabatically sorted timestamps col names [createdAt,deletedAt,updatedAt]
-      insertColumns += `,${timestampsCols.sort().join()}`;
-      insertPlaceholders += `,${timestampPlaceholders}`;
-
-      // concating timetamps values in arr
-      insertValues = [
-        ...insertValues,
-        timestamp, // createdAt
-        null, // deletedAt
-        timestamp, // updatedAt
-      ];
+    const chunks = [];
+    for (let i = 0; i < records.length; i += chunkSize) {
+      chunks.push(records.slice(i, i + chunkSize));
     }
 
-    const insertQuery = `INSERT INTO ${this.tableName} (${insertColumns}) VALUES (${insertPlaceholders}) RETURNING *`;
-    const { rows } = await PgormModel.#CLIENT.query(insertQuery, insertValues);
+    const insertChunks = async () => {
+      const created = [];
+      for (const chunk of chunks) {
+        const params = [];
+        const query = this.#insertQuery(chunk, options, params, 'createMany');
+        const { rows } = await this.#query(query, params, 'createMany');
+        created.push(...rows);
+      }
+      return this.#runHooksForEach(
+        'afterCreate',
+        this.#serializeRows(created),
+        'createMany'
+      );
+    };
+
+    // statement of the first chunk is returned in dry run mode, without a transaction
+    if (chunks.length === 1 || this.#callState().dryRun) return insertChunks();
+
+    return PgormModel.transaction(insertChunks, {
+      connection: this.#connection(),
+    });
+  }
+
+  /**
+   * Creates new record or updates the existing one if it conflicts on conflictTarget.
+   * Does nothing on conflict if no columns to update are given i.e. insert or ignore.
+   * @param {Object} values Values for the record
+   * @param {Object} options Upsert options
+   * @param {String | Array<String>} options.conflictTarget Column(s) of unique constraint to check conflict on,
+   * any unique constraint if not provided (only when not updating)
+   * @param {Array<String>} options.update Columns to update on conflict, requires conflictTarget
+   * @returns Created or updated record, null if conflicting record was left as is
+   * @async
+   * @example
+   * const user = await Users.upsert(
+   *   { email: 'ali@acme.com', fullname: 'Ali Hassan' },
+   *   { conflictTarget: 'email', update: ['fullname'] }
+   * );
+   *
+   * // insert or ignore
+   * const userOrNull = await Users.upsert({ email: 'ali@acme.com' });
+   */
+  async upsert(values, options = {}) {
+    verifyParamType(values, 'object', 'values', 'upsert');
+    verifyParamType(options, 'object', 'options', 'upsert');
+    await this.#ready('upsert');
+    values = this.#toColumns(values);
+
+    await this.#validate(values, 'upsert'); // run user input validations
+    values = await this.#runHooks('beforeCreate', values, 'upsert'); // run record validations
+    values = await this.#runHooks('beforeSave', values, 'upsert');
+
+    const params = [];
+    const query = this.#insertQuery(
+      [this.#applySetters(values)],
+      { ignoreDuplicates: true, ...options },
+      params,
+      'upsert'
+    );
+    const { rows } = await this.#query(query, params, 'upsert');
 
-    return rows[0] || null;
+    return rows[0]
+      ? this.#runHooks('afterCreate', this.#serialize(rows[0]), 'upsert')
+      : null;
   }
 
   /**
    * Deletes the record by given id
-   * @param {Number} id Id of the record to be deleted
+   * @param {Number | String | Object} id Id of the record to be deleted
    * @returns boolean
    * @async
    * @example
@@ -585,47 +3208,252 @@ class PgormModel {
    * }
    */
   async deleteById(id) {
-    verifyParamType(id, 'number', 'id', 'deleteById');
+    await this.#ready('deleteById');
+    this.#verifyId(id, 'deleteById');
 
-    // run record validation hook, if provided
-    await this.#validateBeforeDestroy?.(PgormModel.#CLIENT, id);
+    // run record validation hooks, if provided
+    await this.#runHooks('beforeDestroy', id, 'deleteById');
 
     // if record not found with id return false
-    const record = await this.findById(id);
-    if (!record) {
-      return false;
+    // looked up on primary connection, replica may not have the record yet
+    // record is not looked up in dry run mode, the delete statement is returned
+    let record = null;
+    if (!this.#callState().dryRun) {
+      const findParams = [];
+      const { rows: records } = await this.#query(
+        `${this.#selectQuery} where ${this.#idCondition(
+          id,
+          findParams
+        )} ${this.#checkForDeletion()} ${this.#checkScopes(
+          'and',
+          findParams,
+          'deleteById'
+        )}`,
+        findParams,
+        'deleteById'
+      );
+      if (!records.length) {
+        return false;
+      }
+      record = records[0];
     }
 
     // if paranoid, do soft delete, put deleted=true
     if (this.#paranoidTable) {
-      // throw error if timestamps are not enabled
-      if (!this.#useTimestamps) {
-        throw new PgormError(
-          'modalOptions.timestamps need to be enabled for modalOptions.paranoid to work.',
-          'deleteById'
-        );
-      }
-      await PgormModel.#CLIENT.query(
+      const params = [getTimestamp()];
+      await this.#query(
         `UPDATE ${this.tableName} SET ${
           PgormModel.#timestamps.deletedAt
-        }=$1 WHERE ${this.#pkName}=$2`,
-        [getTimestamp(), id]
+        }=$1 WHERE ${this.#idCondition(id, params)}`,
+        params,
+        'deleteById'
       );
-
-      return true;
     } else {
       // else do hard delete
-      await PgormModel.#CLIENT.query(
-        `DELETE FROM ${this.tableName} WHERE ${this.#pkName}=$1`,
-        [id]
+      const params = [];
+      await this.#query(
+        `DELETE FROM ${this.tableName} WHERE ${this.#idCondition(id, params)}`,
+        params,
+        'deleteById'
+      );
+    }
+
+    await this.#runHooks('afterDestroy', this.#serialize(record), 'deleteById');
+    return true;
+  }
+
+  /**
+   * Restores the soft deleted record by given id, works for paranoid models only
+   * @param {Number | String | Object} id Id of the record to be restored
+   * @returns Restored record or null, if no deleted record found with that id
+   * @async
+   * @example
+   * const restoredUser = await Users.restoreById(12);
+   */
+  async restoreById(id) {
+    await this.#ready('restoreById');
+    this.#verifyId(id, 'restoreById');
+
+    if (!this.#paranoidTable) {
+      throw new PgormError(
+        'modalOptions.paranoid needs to be enabled to restore records.',
+        'restoreById'
+      );
+    }
+
+    const { deletedAt, updatedAt } = PgormModel.#timestamps;
+    const params = [getTimestamp()];
+    const { rows } = await this.#query(
+      `UPDATE ${this.tableName} SET ${deletedAt}=NULL, ${updatedAt}=$1
+        WHERE ${this.#idCondition(
+          id,
+          params
+        )} AND ${deletedAt} is not null ${this.#checkScopes(
+        'and',
+        params,
+        'restoreById'
+      )} RETURNING *`,
+      params,
+      'restoreById'
+    );
+
+    return this.#serialize(rows[0] || null);
+  }
+
+  /**
+   * Deletes the record by given id permanently, even in paranoid models
+   * @param {Number | String | Object} id Id of the record to be deleted
+   * @returns boolean
+   * @async
+   * @example
+   * const isUserDeleted = await Users.forceDeleteById(12);
+   */
+  async forceDeleteById(id) {
+    await this.#ready('forceDeleteById');
+    this.#verifyId(id, 'forceDeleteById');
+
+    // run record validation hooks, if provided
+    await this.#runHooks('beforeDestroy', id, 'forceDeleteById');
+
+    const params = [];
+    const { rows } = await this.#query(
+      `DELETE FROM ${this.tableName} WHERE ${this.#idCondition(
+        id,
+        params
+      )} ${this.#checkScopes('and', params, 'forceDeleteById')} RETURNING *`,
+      params,
+      'forceDeleteById'
+    );
+    if (!rows.length) return false;
+
+    await this.#runHooks(
+      'afterDestroy',
+      this.#serialize(rows[0]),
+      'forceDeleteById'
+    );
+    return true;
+  }
+
+  /**
+   * Deletes all the records matching the where object.
+   * Soft deletes in paranoid models. beforeDestroy hook runs for every matching record.
+   * @param {whereObj} where Filter the records to delete, `{}` deletes all the records
+   * @returns Array of deleted records
+   * @async
+   * @example
+   * const deletedUsers = await Users.deleteWhere({ status: 'expired' });
+   */
+  async deleteWhere(where) {
+    // null must not delete the whole table, all the records are matched by {} only
+    if (!isPlainObject(where)) {
+      throw new PgormError(
+        `'where' Must be a object, use {} to delete all the records`,
+        'deleteWhere'
+      );
+    }
+    await this.#ready('deleteWhere');
+
+    // run record validation hooks for every matching record, if provided
+    // records are not looked up in dry run mode
+    if (this.#hasHooks('beforeDestroy') && !this.#callState().dryRun) {
+      const params = [];
+      const { rows: records } = await this.#query(
+        `SELECT ${this.#pkColumns.join()} FROM ${
+          this.tableName
+        } ${this.#whereClause(where, params, 'deleteWhere')}`,
+        params,
+        'deleteWhere'
       );
-      return true;
+      for (const record of records) {
+        await this.#runHooks(
+          'beforeDestroy',
+          this.#idOf(record),
+          'deleteWhere'
+        );
+      }
+    }
+
+    const params = [];
+    let deleteQuery;
+
+    // if paranoid, do soft delete
+    if (this.#paranoidTable) {
+      params.push(getTimestamp());
+      deleteQuery = `UPDATE ${this.tableName} SET ${
+        PgormModel.#timestamps.deletedAt
+      }=$1 ${this.#whereClause(where, params, 'deleteWhere')} RETURNING *`;
+    } else {
+      deleteQuery = `DELETE FROM ${this.tableName} ${this.#whereClause(
+        where,
+        params,
+        'deleteWhere'
+      )} RETURNING *`;
     }
+
+    const { rows } = await this.#query(deleteQuery, params, 'deleteWhere');
+    return this.#runHooksForEach(
+      'afterDestroy',
+      this.#serializeRows(rows),
+      'deleteWhere'
+    );
+  }
+
+  /**
+   * Registers a hook for a lifecycle event of this model. Multiple hooks can be registered
+   * for an event, they run in the order of registration after the global hooks.
+   * Hooks are called with `(client, payload, context)`, where context is `{ model, methodName, ...}`.
+   * Returning a plain object from a hook replaces the payload for next hooks and the operation.
+   *
+   * - `beforeCreate`, `beforeSave` payload is the values to insert, by create, createMany and upsert
+   * - `beforeUpdate`, `beforeSave` payload is the values to update, context has `id` or `where`
+   * - `beforeDestroy` payload is the id of the record to delete
+   * - `beforeFind` payload is the options of the find method, context has `id` for findById
+   * - `afterCreate`, `afterUpdate`, `afterDestroy` payload is the affected record
+   * - `afterFind` payload is the found rows, or the record (null if not found) for findOne and findById
+   *
+   * Where object in the options returned by `beforeFind` hooks applies to all the find methods, including
+   * `findById` and the raw where clause of `findAllWhere`, on top of their conditions.
+   * An array (of rows) replaces an array payload, other values returned by hooks are ignored.
+   *
+   * Throwing an error from a hook aborts the operation.
+   * @param {'beforeCreate' | 'afterCreate' | 'beforeUpdate' | 'afterUpdate' | 'beforeDestroy' | 'afterDestroy' | 'beforeFind' | 'afterFind' | 'beforeSave'} event Lifecycle event
+   * @param {Function} fn Hook function
+   * @example
+   * Users.addHook('beforeSave', (client, values) => {
+   *   if (values.email) values.email = values.email.toLowerCase();
+   * });
+   *
+   * Users.addHook('afterCreate', async (client, user) => {
+   *   await client.query('INSERT INTO audit_logs (action, user_id) VALUES ($1, $2)', ['signup', user.id]);
+   * });
+   *
+   * Users.addHook('beforeFind', (client, options) => {
+   *   return { ...options, where: { ...options.where, active: true } };
+   * });
+   */
+  addHook(event, fn) {
+    addHookTo(this.#hooks, event, fn, 'addHook');
+  }
+
+  /**
+   * Registers a hook for a lifecycle event of all models, runs before the hooks of the model.
+   * Same as `addHook` of a model, see it for events and arguments.
+   * @param {String} event Lifecycle event
+   * @param {Function} fn Hook function
+   * @static
+   * @example
+   * PgormModel.addHook('beforeCreate', (client, values, { model }) => {
+   *   console.log(`creating record in ${model.tableName}`);
+   * });
+   */
+  static addHook(event, fn) {
+    addHookTo(PgormModel.#globalHooks, event, fn, 'addHook');
   }
 
   /**
    * Registers a validator hook, which is called before every 'create' operation on this model.
    * Validator function must throw error on validation failure.
+   * Same as `addHook('beforeCreate', fn)`, multiple hooks run in order of registration.
    * @param {Function} fn A function to run before PgormModel.create(..) operation
    * @example
    * Users.beforeCreate(async (client, values)=>{
@@ -634,28 +3462,28 @@ class PgormModel {
    * })
    */
   beforeCreate(fn) {
-    verifyParamType(fn, 'function', 'fn', 'beforeCreate');
-    this.#validateBeforeCreate = fn;
+    addHookTo(this.#hooks, 'beforeCreate', fn, 'beforeCreate');
   }
 
   /**
    * Registers a validator hook, which is called before every 'update' operation on this model.
    * Validator function must throw error on validation failure.
+   * Same as `addHook('beforeUpdate', fn)`, multiple hooks run in order of registration.
    * @param {Function} fn A function to run before PgormModel.update(..) operation
    * @example
-   * Users.beforeUpdate(async (client, recordId)=>{
+   * Users.beforeUpdate(async (client, values, { id })=>{
    *   // await client.query(..)
    *   // throws error on validation failure
    * })
    */
   beforeUpdate(fn) {
-    verifyParamType(fn, 'function', 'fn', 'beforeUpdate');
-    this.#validateBeforeUpdate = fn;
+    addHookTo(this.#hooks, 'beforeUpdate', fn, 'beforeUpdate');
   }
 
   /**
    * Registers a validator hook, which is called before every 'delete' operation on this model.
    * Validator function must throw error on validation failure.
+   * Same as `addHook('beforeDestroy', fn)`, multiple hooks run in order of registration.
    * @param {Function} fn A function to run before PgormModel.destory(..) operation
    * @example
    * Users.beforeDestroy(async (client, recordId)=>{
@@ -664,8 +3492,135 @@ class PgormModel {
    * })
    */
   beforeDestroy(fn) {
-    verifyParamType(fn, 'function', 'fn', 'beforeDestroy');
-    this.#validateBeforeDestroy = fn;
+    addHookTo(this.#hooks, 'beforeDestroy', fn, 'beforeDestroy');
+  }
+
+  /**
+   * Adds named scope to the model, a reusable filter applied by `scope()`.
+   * Scopes apply to finders, aggregates, iterate, `*ById` and `*Where` methods
+   * @param {String} name Name of the scope
+   * @param {whereObj | Function} where Where object, or a function taking the scope args and returning it
+   * @example
+   * Users.addScope('active', { status: 'active' });
+   * Users.addScope('olderThan', (age) => ({ age: { gt: age } }));
+   */
+  addScope(name, where) {
+    verifyParamType(name, 'string', 'name', 'addScope');
+    if (typeof where !== 'function') {
+      verifyParamType(where, 'object', 'where', 'addScope');
+    }
+    this.#scopes.set(name, where);
+  }
+
+  /**
+   * Model with the given scopes applied, on top of the default scope.
+   * Scopes are names of the scopes, `[name, ...args]` for scopes with args, or where objects
+   * @param  {...(String | Array | whereObj)} scopes Scopes to apply
+   * @returns Scoped model, with all the methods of the model
+   * @example
+   * const users = await Users.scope('active', { tenant_id: tenantId }).findAll();
+   *
+   * const count = await Users.scope('active', ['olderThan', 18]).count();
+   */
+  scope(...scopes) {
+    return this.#scopedView({
+      conditions: this.#resolveScopes(scopes),
+      withDefault: true,
+      dryRun: false,
+    });
+  }
+
+  /**
+   * Model without the default scope and other scopes, `scope()` can be chained to add scopes again
+   * @returns Unscoped model, with all the methods of the model
+   * @example
+   * const allPosts = await Posts.unscoped().findAll();
+   */
+  unscoped() {
+    return this.#scopedView({
+      conditions: [],
+      withDefault: false,
+      dryRun: false,
+    });
+  }
+
+  /**
+   * Model in dry run mode, its CRUD methods return the statement they would run i.e. `{ text, params }`
+   * instead of running it. Validations and before hooks run as usual, queries made by them are run too,
+   * so the statement has the final values. Methods which run more statements i.e. createMany in chunks
+   * return the first one. Can be chained with scopes. `iterate` and `stream` are not supported,
+   * they throw PgormError
+   * @returns Model in dry run mode, with all the methods of the model
+   * @example
+   * const { text, params } = await Users.toSQL().updateById(12, { age: 23 });
+   * // UPDATE users set age=$1 where id=$2 ..., [23, 12]
+   *
+   * await Users.scope('active').toSQL().findAll({ limit: 10 });
+   */
+  toSQL() {
+    return this.#scopedView({ ...defaultCallState, dryRun: true });
+  }
+
+  // where objects of the given scopes
+  #resolveScopes(scopes) {
+    return scopes.map((scope) => {
+      if (isPlainObject(scope)) return scope;
+
+      const [name, ...args] = Array.isArray(scope) ? scope : [scope];
+      if (!this.#scopes.has(name)) {
+        throw new PgormError(
+          `Scope '${name}' is not defined on ${this.modelName}`,
+          'scope'
+        );
+      }
+      const where = this.#scopes.get(name);
+      return typeof where === 'function' ? where(...args) : where;
+    });
+  }
+
+  // proxy of the model, which runs its methods with the given call state
+  #scopedView(state) {
+    return new Proxy(this, {
+      get: (model, prop) => {
+        // chained calls build on the current state
+        if (prop === 'scope') {
+          return (...scopes) =>
+            this.#scopedView({
+              ...state,
+              conditions: [...state.conditions, ...this.#resolveScopes(scopes)],
+            });
+        }
+        if (prop === 'unscoped') {
+          return () =>
+            this.#scopedView({
+              conditions: [],
+              withDefault: false,
+              dryRun: state.dryRun,
+            });
+        }
+        if (prop === 'toSQL') {
+          return () => this.#scopedView({ ...state, dryRun: true });
+        }
+
+        const val = model[prop];
+        if (typeof val !== 'function') return val;
+        // cursors run many statements lazily, there is no single statement to return
+        if (state.dryRun && ['iterate', 'stream'].includes(prop)) {
+          return () => {
+            throw new PgormError(`toSQL() is not supported by ${prop}`, prop);
+          };
+        }
+        return (...args) => {
+          const result = callStorage.run(
+            new Map(callStorage.getStore()).set(model, state),
+            () => val.apply(model, args)
+          );
+          return state.dryRun && typeof result?.then === 'function'
+            ? toStatement(result)
+            : result;
+        };
+      },
+    });
   }
 
   /**
@@ -689,14 +3644,18 @@ class PgormModel {
     verifyParamType(methodName, 'string', 'methodName', 'addQueryMethod');
     verifyParamType(fn, 'function', 'fn', 'addQueryMethod');
 
-    this.customQueries[methodName] = fn(PgormModel.#CLIENT);
+    this.customQueries[methodName] = fn(this.#clientProxy);
   }
 
   /**
    * Creates a foreign key. fkName must be present in the model
-   * Throws error if the foreign key already exists or column is not defined in the model.
+   * Skips if the foreign key already exists, rejects if column is not defined in the model.
+   * Declaring the same foreign key again i.e. by both hasMany and belongsTo returns the same promise.
+   * Waits for this and the parent table (if it belongs to a model) to be created.
    * @param {String} fkName Name of the foreign key
    * @param {String} parentTableName The name of the parent table to which key is being linked
+   * @returns Promise which resolves when the foreign key is created
+   * @async
    * @example
    * const Books = new PgormModel('books', {
    *   title: {
@@ -708,7 +3667,7 @@ class PgormModel {
    * });
    *
    * // create a foreign key on user_id column
-   * Books.addForeignKey('user_id', Users.tableName);
+   * await Books.addForeignKey('user_id', Users.tableName);
    */
   addForeignKey(fkName, parentTableName) {
     verifyParamType(fkName, 'string', 'fkName', 'addForeignKey');
@@ -719,57 +3678,214 @@ class PgormModel {
       'addForeignKey'
     );
 
+    const contraintName = `${this.tableName}_${fkName}_fkey`;
+    const declared = this.#foreignKeys[contraintName];
+    if (declared) {
+      if (declared.parentTableName !== parentTableName) {
+        throw new PgormError(
+          `Foreign key ${contraintName} is declared already, referencing ${declared.parentTableName}`,
+          'addForeignKey'
+        );
+      }
+      return declared.failed
+        ? this.#startForeignKey(declared)
+        : declared.promise;
+    }
+
+    const fk = { fkName, parentTableName };
+    this.#foreignKeys[contraintName] = fk;
+    return this.#startForeignKey(fk);
+  }
+
+  // creates foreign key once this and the parent table are created
+  async #createForeignKey(fkName, parentTableName) {
     const thisMethodName = 'addForeignKey';
     const contraintName = `${this.tableName}_${fkName}_fkey`;
 
-    (async () => {
-      try {
-        // check if fkName column exists in this table
-        const { rows: columns } = await PgormModel.#CLIENT.query(
-          `SELECT EXISTS (
+    const parentModel = Object.values(PgormModel.models).find(
+      (model) => model.tableName === parentTableName
+    );
+
+    await this.#synced;
+    if (parentModel) await this.#waitForTable(parentModel, thisMethodName);
+
+    try {
+      // key of the parent model, primary key is referenced by default for other tables
+      const parentKey = parentModel
+        ? `(${parentModel.#singlePk(thisMethodName)})`
+        : '';
+
+      // check if fkName column exists in this table
+      const { rows: columns } = await this.#query(
+        `SELECT EXISTS (
             SELECT 1 FROM information_schema.columns 
             WHERE table_schema='${this.#tableSchema}' 
             AND table_name='${this.#tableName}' 
             AND column_name='${fkName}'
-          );`
-        );
+          );`,
+        [],
+        thisMethodName
+      );
 
-        // if foreign key column is not found, throw err
-        if (!columns[0].exists) {
-          throw new PgormError(
-            `column ${fkName} does not exist in ${
-              this.#tableName
-            }, in addForeignKey`,
-            thisMethodName
-          );
-        }
+      // if foreign key column is not found, throw err
+      if (!columns[0].exists) {
+        throw new PgormError(
+          `column ${fkName} does not exist in ${
+            this.#tableName
+          }, in addForeignKey`,
+          thisMethodName
+        );
+      }
 
-        // check if constraint exists already
-        const { rows: constraints } = await PgormModel.#CLIENT.query(
-          `SELECT EXISTS (SELECT 1 
+      // check if constraint exists already
+      const { rows: constraints } = await this.#query(
+        `SELECT EXISTS (SELECT 1 
       FROM information_schema.table_constraints 
       WHERE table_schema='${this.#tableSchema}' AND table_name='${
-            this.tableName
-          }' AND constraint_name='${contraintName}');`
-        );
+          this.tableName
+        }' AND constraint_name='${contraintName}');`,
+        [],
+        thisMethodName
+      );
 
-        // if foreign key doesnt exist already
-        if (!constraints[0].exists) {
-          // reference foreign key
-          await PgormModel.#CLIENT.query(
-            `ALTER TABLE ${this.tableName}
+      // if foreign key doesnt exist already
+      if (!constraints[0].exists) {
+        // reference foreign key
+        await this.#query(
+          `ALTER TABLE ${this.tableName}
         ADD CONSTRAINT ${contraintName}
         FOREIGN KEY (${fkName})
-        REFERENCES "${parentTableName}" (${this.#pkName});`
-          );
-        }
-      } catch (err) {
-        throw new PgormError(
-          `Unable to create foreign key ${contraintName}: ${err.message}`,
+        REFERENCES "${parentTableName}" ${parentKey};`,
+          [],
           thisMethodName
         );
       }
-    })();
+    } catch (err) {
+      throw new PgormError(
+        `Unable to create foreign key ${contraintName}: ${err.message}`,
+        thisMethodName,
+        { cause: err }
+      );
+    }
+  }
+
+  /**
+   * Declares one to many association, foreign key is on the target model.
+   * Creates the foreign key on target model using `addForeignKey`.
+   * Related records can be loaded using `include` option of `findAll` and `findById`.
+   * @param {PgormModel} target The model which has foreign key
+   * @param {Object} options Association options
+   * @param {String} options.foreignKey Foreign key column on target model,
+   * taken from `belongsTo` association of target model if not provided
+   * @param {String} options.as Alias of the association, name of the target model by default
+   * @param {Boolean} options.constraint Whether to create the foreign key constraint or not, true by default
+   * @returns Promise which resolves when the foreign key is created
+   * @example
+   * Users.hasMany(Books, { foreignKey: 'user_id', as: 'books' });
+   *
+   * const users = await Users.findAll({ include: ['books'] });
+   * // users[0].books = [{ id: 1, title: 'Pgorm', user_id: 1 }, ..]
+   */
+  hasMany(target, options = {}) {
+    const association = this.#associate('hasMany', target, options, 'hasMany');
+
+    if (!association.foreignKey) {
+      association.foreignKey = this.#inverseForeignKey(target, 'belongsTo');
+    }
+    verifyParamType(association.foreignKey, 'string', 'foreignKey', 'hasMany');
+    this.associations[association.as] = association;
+
+    if (association.constraint !== false) {
+      return target.addForeignKey(association.foreignKey, this.tableName);
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Declares inverse of one to many association, foreign key is on this model.
+   * Creates the foreign key on this model using `addForeignKey`.
+   * @param {PgormModel} target The model to which foreign key refers
+   * @param {Object} options Association options
+   * @param {String} options.foreignKey Foreign key column on this model,
+   * taken from `hasMany` association of target model if not provided
+   * @param {String} options.as Alias of the association, name of the target model by default
+   * @param {Boolean} options.constraint Whether to create the foreign key constraint or not, true by default
+   * @returns Promise which resolves when the foreign key is created
+   * @example
+   * Books.belongsTo(Users, { as: 'author' });
+   *
+   * const book = await Books.findById(1, { include: ['author'] });
+   * // book.author = { id: 1, fullname: 'Ali Hassan' }
+   */
+  belongsTo(target, options = {}) {
+    const association = this.#associate(
+      'belongsTo',
+      target,
+      options,
+      'belongsTo'
+    );
+
+    if (!association.foreignKey) {
+      association.foreignKey = this.#inverseForeignKey(target, 'hasMany');
+    }
+    verifyParamType(
+      association.foreignKey,
+      'string',
+      'foreignKey',
+      'belongsTo'
+    );
+    this.associations[association.as] = association;
+
+    // declared by hasMany too, if any, addForeignKey creates it once
+    if (association.constraint !== false) {
+      return this.addForeignKey(association.foreignKey, target.tableName);
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Declares many to many association through a join model.
+   * Creates foreign keys on the join model using `addForeignKey`.
+   * @param {PgormModel} target The associated model
+   * @param {Object} options Association options
+   * @param {PgormModel} options.through The join model
+   * @param {String} options.foreignKey Column of join model which refers to this model
+   * @param {String} options.otherKey Column of join model which refers to target model
+   * @param {String} options.as Alias of the association, name of the target model by default
+   * @param {Boolean} options.constraint Whether to create the foreign key constraints or not, true by default
+   * @returns Promise which resolves when the foreign keys are created
+   * @example
+   * Users.manyToMany(Roles, {
+   *   through: UserRoles,
+   *   foreignKey: 'user_id',
+   *   otherKey: 'role_id',
+   * });
+   *
+   * const users = await Users.findAll({ include: ['roles'] });
+   */
+  manyToMany(target, options = {}) {
+    const { through, foreignKey, otherKey } = options;
+    if (!(through instanceof PgormModel)) {
+      throw new PgormError(`'through' Must be a PgormModel`, 'manyToMany');
+    }
+    verifyParamType(foreignKey, 'string', 'foreignKey', 'manyToMany');
+    verifyParamType(otherKey, 'string', 'otherKey', 'manyToMany');
+
+    const association = this.#associate(
+      'manyToMany',
+      target,
+      options,
+      'manyToMany'
+    );
+    this.associations[association.as] = association;
+
+    if (association.constraint !== false) {
+      return Promise.all([
+        through.addForeignKey(foreignKey, this.tableName),
+        through.addForeignKey(otherKey, target.tableName),
+      ]);
+    }
+    return Promise.resolve();
   }
 }
 
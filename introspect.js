@@ -0,0 +1,392 @@
+const fs = require('fs');
+const path = require('path');
+const { PgormError } = require('./errors');
+const { verifyParamType } = require('./util');
+const { columnTypeFromInfo } = require('./migrations');
+
+// default names of the timestamps columns, detected as timestamps option
+const timestampColumns = ['created_at', 'updated_at', 'deleted_at'];
+
+// TypeScript types of the column types, pg returns bigint and numeric as strings
+const tsTypes = {
+  smallint: 'number',
+  integer: 'number',
+  real: 'number',
+  'double precision': 'number',
+  bigint: 'string',
+  numeric: 'string',
+  money: 'string',
+  boolean: 'boolean',
+  date: 'Date',
+  'timestamp without time zone': 'Date',
+  'timestamp with time zone': 'Date',
+  json: 'any',
+  jsonb: 'any',
+  bytea: 'Buffer',
+};
+
+// element types of the arrays, by udt_name without the leading underscore
+const udtTypes = {
+  int2: 'smallint',
+  int4: 'integer',
+  int8: 'bigint',
+  float4: 'real',
+  float8: 'double precision',
+  bool: 'boolean',
+  timestamp: 'timestamp without time zone',
+  timestamptz: 'timestamp with time zone',
+};
+
+// users_roles => UsersRoles
+const toModelName = (table) =>
+  table
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join('')
+    .replace(/^(\d)/, '_$1');
+
+// quotes value for the generated code
+const quote = (val) =>
+  `'${String(val).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+// key of the object in the generated code, quoted if column name is not an identifier
+const toKey = (name) => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : quote(name));
+
+// column name in the generated schema, quoted if postgres needs it to be
+const toSqlName = (name) =>
+  /^[a-z_][a-z0-9_]*$/.test(name) ? name : `"${name.replace(/"/g, '""')}"`;
+
+// SQL type of the column, arrays and enums are reported by udt_name
+function columnType(col) {
+  if (col.data_type === 'ARRAY') {
+    const element = col.udt_name.replace(/^_/, '');
+    return `${udtTypes[element] || element}[]`;
+  }
+  if (col.data_type === 'USER-DEFINED') return col.udt_name;
+  return columnTypeFromInfo(col);
+}
+
+// TypeScript type of the column, enums and unknown types are strings
+function tsType(col) {
+  if (col.data_type === 'ARRAY') {
+    const element = col.udt_name.replace(/^_/, '');
+    return `Array<${tsTypes[udtTypes[element] || element] || 'string'}>`;
+  }
+  return tsTypes[col.data_type] || 'string';
+}
+
+// type of generated primary key, null for natural keys defined in the columns
+function pkTypeOf(col) {
+  const generated =
+    col.is_identity === 'YES' || /^nextval\(/.test(col.column_default || '');
+  if (generated && ['integer', 'smallint'].includes(col.data_type)) {
+    return 'serial';
+  }
+  if (generated && col.data_type === 'bigint') return 'bigint';
+  if (col.data_type === 'uuid' && col.column_default) return 'uuid';
+  return null;
+}
+
+/**
+ * Reads the tables of a schema from information_schema and pg_catalog, and generates
+ * model definition files with their TypeScript typings. Columns, primary key, foreign keys
+ * and timestamps are detected, other options can be added to the generated files.
+ * @example
+ * const Introspector = require('pg-models/introspect');
+ *
+ * const introspector = new Introspector({ connection: pool, directory: './models' });
+ *
+ * // writes models/users.js and models/users.d.ts for every table
+ * await introspector.generate();
+ *
+ * // only some tables
+ * await introspector.generate({ tables: ['users', 'books'] });
+ */
+class Introspector {
+  #connection;
+  #directory;
+  #schema;
+
+  /**
+   * Creates new introspector
+   * @param {Object} options Introspector options
+   * @param {PG_Client | PG_Pool} options.connection Connection to read the schema from
+   * @param {String} options.directory Directory of the generated files
+   * @param {String} options.schema Schema of the tables, 'public' by default
+   * @constructor
+   */
+  constructor(options = {}) {
+    verifyParamType(options, 'object', 'options', 'Introspector');
+    verifyParamType(options.directory, 'string', 'directory', 'Introspector');
+
+    if (!options.connection) {
+      throw new PgormError(`'connection' is required`, 'Introspector');
+    }
+
+    this.#connection = options.connection;
+    this.#directory = path.resolve(options.directory);
+    this.#schema = options.schema || 'public';
+  }
+
+  /**
+   * Reads the tables of the schema
+   * @param {Object} options Options i.e. `{ tables }`, names of the tables to read, all by default
+   * @returns Array of tables i.e. `[{ table, columns, primaryKey, foreignKeys }]`
+   * @async
+   */
+  async tables(options = {}) {
+    verifyParamType(options, 'object', 'options', 'tables');
+    const schema = this.#schema;
+
+    const { rows: tables } = await this.#connection.query(
+      `SELECT table_name FROM information_schema.tables
+        WHERE table_schema=$1 AND table_type='BASE TABLE'
+        ORDER BY table_name`,
+      [schema]
+    );
+
+    const { rows: columns } = await this.#connection.query(
+      `SELECT table_name, column_name, data_type, udt_name, character_maximum_length,
+          numeric_precision, numeric_scale, is_nullable, column_default, is_identity
+        FROM information_schema.columns
+        WHERE table_schema=$1
+        ORDER BY table_name, ordinal_position`,
+      [schema]
+    );
+
+    // columns of the primary keys, in their order in the key
+    const { rows: primaryKeys } = await this.#connection.query(
+      `SELECT c.relname AS table_name, a.attname AS column_name
+        FROM pg_catalog.pg_index i
+        JOIN pg_catalog.pg_class c ON c.oid = i.indrelid
+        JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+        JOIN pg_catalog.pg_attribute a ON a.attrelid = c.oid AND a.attnum = ANY(i.indkey)
+        WHERE i.indisprimary AND n.nspname=$1
+        ORDER BY c.relname, array_position(i.indkey::int2[], a.attnum)`,
+      [schema]
+    );
+
+    // single column foreign keys, composite ones can't be added by addForeignKey
+    // which references single column primary keys only
+    const { rows: foreignKeys } = await this.#connection.query(
+      `SELECT con.conname AS constraint_name, c.relname AS table_name,
+          a.attname AS column_name, rc.relname AS foreign_table, ra.attname AS foreign_column,
+          EXISTS (SELECT 1 FROM pg_catalog.pg_index pi
+            WHERE pi.indrelid = con.confrelid AND pi.indisprimary
+            AND pi.indkey::int2[] = ARRAY[ra.attnum]) AS references_primary
+        FROM pg_catalog.pg_constraint con
+        JOIN pg_catalog.pg_class c ON c.oid = con.conrelid
+        JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+        JOIN pg_catalog.pg_class rc ON rc.oid = con.confrelid
+        JOIN pg_catalog.pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = con.conkey[1]
+        JOIN pg_catalog.pg_attribute ra ON ra.attrelid = con.confrelid AND ra.attnum = con.confkey[1]
+        WHERE con.contype='f' AND n.nspname=$1 AND array_length(con.conkey, 1) = 1
+        ORDER BY c.relname, a.attname`,
+      [schema]
+    );
+
+    const names = options.tables || tables.map((row) => row.table_name);
+    const byTable = (rows, table) =>
+      rows.filter((row) => row.table_name === table);
+
+    return names.map((table) => {
+      const tableColumns = byTable(columns, table);
+      if (!tableColumns.length) {
+        throw new PgormError(
+          `Table ${table} does not exist in ${schema} schema`,
+          'tables'
+        );
+      }
+      return {
+        table,
+        columns: tableColumns,
+        primaryKey: byTable(primaryKeys, table).map((row) => row.column_name),
+        foreignKeys: byTable(foreignKeys, table),
+      };
+    });
+  }
+
+  /**
+   * Generates model definition file and its typings for every table, existing files are overwritten.
+   * Files are named after the tables i.e. `users.js` and `users.d.ts`. Models need a primary key,
+   * nothing is generated if any of the tables doesn't have one
+   * @param {Object} options Options i.e. `{ tables }`, names of the tables to generate, all by default
+   * @returns Array of the written files
+   * @async
+   */
+  async generate(options = {}) {
+    verifyParamType(options, 'object', 'options', 'generate');
+    const tables = await this.tables(options);
+
+    // models need a primary key, nothing is written if a table doesn't have one
+    const keyless = tables.filter((table) => !table.primaryKey.length);
+    if (keyless.length) {
+      throw new PgormError(
+        `Tables without primary key can't be generated: ${keyless
+          .map((table) => table.table)
+          .join(', ')}. Add primary key or leave them out by 'tables' option`,
+        'generate'
+      );
+    }
+
+    fs.mkdirSync(this.#directory, { recursive: true });
+    const files = [];
+    for (const table of tables) {
+      const file = path.join(this.#directory, table.table);
+      fs.writeFileSync(`${file}.js`, this.#renderModel(table));
+      fs.writeFileSync(`${file}.d.ts`, this.#renderTypes(table));
+      files.push(`${file}.js`, `${file}.d.ts`);
+    }
+    return files;
+  }
+
+  // options of the model, and columns to define
+  #modelOptions({ columns, primaryKey }) {
+    const options = {};
+    const names = columns.map((col) => col.column_name);
+    let defined = columns;
+
+    // generated single column key is left to the model, natural keys are defined as columns
+    const pkColumn =
+      primaryKey.length === 1 &&
+      columns.find((col) => col.column_name === primaryKey[0]);
+    const pkType = pkColumn && pkTypeOf(pkColumn);
+    if (pkType) {
+      defined = defined.filter((col) => col !== pkColumn);
+      if (pkType !== 'serial') options.pkType = pkType;
+    }
+    if (primaryKey.join() !== 'id') {
+      options.pkName = primaryKey.length === 1 ? primaryKey[0] : primaryKey;
+    }
+
+    // timestamps option needs all of the timestamps columns
+    if (timestampColumns.every((col) => names.includes(col))) {
+      options.timestamps = true;
+      defined = defined.filter(
+        (col) => !timestampColumns.includes(col.column_name)
+      );
+    }
+    if (this.#schema !== 'public') options.tableSchema = this.#schema;
+
+    return { options, defined };
+  }
+
+  // renders the model definition file of the table
+  #renderModel(table) {
+    const modelName = toModelName(table.table);
+    const { options, defined } = this.#modelOptions(table);
+
+    const renderedOptions = Object.entries(options).map(
+      ([key, val]) =>
+        `${key}: ${
+          Array.isArray(val)
+            ? `[${val.map(quote).join(', ')}]`
+            : typeof val === 'string'
+            ? quote(val)
+            : val
+        }`
+    );
+    const columns = defined.map((col) => {
+      let schema = `${toSqlName(col.column_name)} ${columnType(col)}`;
+      if (col.is_nullable === 'NO') schema += ' NOT NULL';
+      if (col.column_default !== null && col.column_default !== undefined) {
+        schema += ` DEFAULT ${col.column_default}`;
+      }
+      return `  ${toKey(col.column_name)}: { schema: ${quote(schema)} },`;
+    });
+    // failures are reported to the CRUD calls and syncAll, like of any other model
+    // keys addForeignKey would create with another name or column are only noted,
+    // declaring them would add duplicate constraints
+    const foreignKeys = table.foreignKeys.map((fk) => {
+      if (
+        fk.constraint_name === `${table.table}_${fk.column_name}_fkey` &&
+        fk.references_primary
+      ) {
+        return `${modelName}.addForeignKey(${quote(fk.column_name)}, ${quote(
+          fk.foreign_table
+        )});`;
+      }
+      return `// ${fk.constraint_name}: ${fk.column_name} references ${fk.foreign_table} (${fk.foreign_column}), it can't be declared by addForeignKey`;
+    });
+
+    return `// generated by pg-models from ${table.table} table
+const PgormModel = require('pg-models');
+
+const ${modelName} = new PgormModel(${quote(table.table)}${
+      renderedOptions.length ? `, { ${renderedOptions.join(', ')} }` : ''
+    });
+
+${modelName}.define({
+${columns.join('\n')}
+});
+${
+  foreignKeys.length
+    ? `
+// foreign keys exist in the table already, these only check them
+${foreignKeys.join('\n')}
+`
+    : ''
+}
+module.exports = ${modelName};
+`;
+  }
+
+  // renders the typings of the model, with the rows typed by the columns
+  #renderTypes(table) {
+    const modelName = toModelName(table.table);
+    const { columns, primaryKey } = table;
+
+    const fields = columns.map((col) => {
+      const type = tsType(col);
+      // any includes null already
+      const nullable = col.is_nullable === 'YES' && type !== 'any';
+      return `    ${toKey(col.column_name)}: ${type}${
+        nullable ? ' | null' : ''
+      };`;
+    });
+
+    // id is the value of the key column, object of the key columns for composite keys
+    const keyType = (name) => `Row[${quote(name)}]`;
+    const idType =
+      primaryKey.length > 1
+        ? `{ ${primaryKey
+            .map((col) => `${toKey(col)}: ${keyType(col)}`)
+            .join('; ')} }`
+        : keyType(primaryKey[0]);
+
+    return `// generated by pg-models from ${table.table} table
+declare namespace ${modelName} {
+  interface Row {
+${fields.join('\n')}
+  }
+  type Values = Partial<Row>;
+  type Id = ${idType};
+}
+
+declare const ${modelName}: {
+  readonly tableName: string;
+  create(values: ${modelName}.Values): Promise<${modelName}.Row | null>;
+  createMany(valuesArray: ${modelName}.Values[], options?: object): Promise<${modelName}.Row[]>;
+  upsert(values: ${modelName}.Values, options?: object): Promise<${modelName}.Row | null>;
+  findAll(options?: object): Promise<${modelName}.Row[]>;
+  findAllWhere(where: object | string, params?: any[] | object, options?: object): Promise<${modelName}.Row[]>;
+  findAndCount(options?: object): Promise<{ rows: ${modelName}.Row[]; total: number }>;
+  findOne(column: string | object, value?: any, options?: object): Promise<${modelName}.Row | null>;
+  findById(id: ${modelName}.Id, options?: object): Promise<${modelName}.Row | null>;
+  iterate(where?: object, options?: object): AsyncIterableIterator<${modelName}.Row>;
+  updateById(id: ${modelName}.Id, values: ${modelName}.Values): Promise<${modelName}.Row | null>;
+  updateWhere(where: object, values: ${modelName}.Values): Promise<${modelName}.Row[]>;
+  deleteById(id: ${modelName}.Id): Promise<boolean>;
+  deleteWhere(where: object): Promise<${modelName}.Row[]>;
+  count(where?: object, options?: object): Promise<number>;
+  exists(where?: object, options?: object): Promise<boolean>;
+  [method: string]: any;
+};
+
+export = ${modelName};
+`;
+  }
+}
+
+module.exports = Introspector;
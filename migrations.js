@@ -0,0 +1,467 @@
+const fs = require('fs');
+const path = require('path');
+const PgormModel = require('./index');
+const { PgormError } = require('./errors');
+const { verifyParamType, isPool, getTimestamp } = require('./util');
+
+// column types with their aliases, as reported by information_schema
+const typeAliases = {
+  int: 'integer',
+  int4: 'integer',
+  integer: 'integer',
+  serial: 'integer',
+  serial4: 'integer',
+  smallint: 'smallint',
+  int2: 'smallint',
+  smallserial: 'smallint',
+  serial2: 'smallint',
+  bigint: 'bigint',
+  int8: 'bigint',
+  bigserial: 'bigint',
+  serial8: 'bigint',
+  text: 'text',
+  varchar: 'character varying',
+  'character varying': 'character varying',
+  char: 'character',
+  character: 'character',
+  bpchar: 'character',
+  bool: 'boolean',
+  boolean: 'boolean',
+  real: 'real',
+  float4: 'real',
+  float: 'double precision',
+  float8: 'double precision',
+  'double precision': 'double precision',
+  numeric: 'numeric',
+  decimal: 'numeric',
+  money: 'money',
+  date: 'date',
+  timestamp: 'timestamp without time zone',
+  'timestamp without time zone': 'timestamp without time zone',
+  timestamptz: 'timestamp with time zone',
+  'timestamp with time zone': 'timestamp with time zone',
+  time: 'time without time zone',
+  'time without time zone': 'time without time zone',
+  timetz: 'time with time zone',
+  'time with time zone': 'time with time zone',
+  interval: 'interval',
+  json: 'json',
+  jsonb: 'jsonb',
+  uuid: 'uuid',
+  bytea: 'bytea',
+  inet: 'inet',
+  cidr: 'cidr',
+  macaddr: 'macaddr',
+};
+
+// types which keep their length/precision in comparison
+const sizedTypes = ['character varying', 'character', 'numeric'];
+
+// keywords which end the type in a column schema
+const constraintKeywords =
+  'NOT\\s+NULL|NULL|DEFAULT|PRIMARY|UNIQUE|REFERENCES|CHECK|CONSTRAINT|COLLATE|GENERATED';
+
+/**
+ * Parses column schema i.e. 'fullname VARCHAR(255) NOT NULL'
+ * @param {string} schema Schema of the column
+ * @returns Object containing type and nullability i.e. `{ type: 'VARCHAR(255)', notNull: true }`
+ */
+function parseColumnSchema(schema) {
+  const match = new RegExp(
+    `^\\s*("[^"]+"|\\S+)\\s+(.*?)(?=\\s+(?:${constraintKeywords})\\b|\\s*$)`,
+    'is'
+  ).exec(schema);
+
+  return {
+    type: match ? match[2].trim() : '',
+    notNull: /\bNOT\s+NULL\b|\bPRIMARY\s+KEY\b/i.test(schema),
+  };
+}
+
+/**
+ * Normalizes type to the name used by information_schema, so they can be compared
+ * @param {string} type Type of column i.e. 'VARCHAR(255)'
+ * @returns Normalized type i.e. 'character varying(255)', null if type is not known
+ */
+function normalizeType(type) {
+  const match = /^([a-z0-9 ]+?)\s*(?:\(\s*([\d\s,]+)\s*\))?$/.exec(
+    type.toLowerCase().replace(/\s+/g, ' ').trim()
+  );
+  if (!match || !typeAliases[match[1]]) return null;
+
+  const name = typeAliases[match[1]];
+  if (match[2] && sizedTypes.includes(name)) {
+    return `${name}(${match[2].replace(/\s/g, '')})`;
+  }
+  return name;
+}
+
+// builds type of the column from information_schema row
+function columnTypeFromInfo(col) {
+  if (col.character_maximum_length) {
+    return `${col.data_type}(${col.character_maximum_length})`;
+  }
+  if (col.data_type === 'numeric' && col.numeric_precision) {
+    return `numeric(${col.numeric_precision},${col.numeric_scale || 0})`;
+  }
+  return col.data_type;
+}
+
+// renders migration file with given up and down queries
+function renderMigration(upQueries, downQueries) {
+  const render = (queries) =>
+    queries
+      // escape for template literal
+      .map((query) => query.replace(/[`\\]|\$\{/g, (m) => `\\${m}`))
+      .map((query) => `    await client.query(\`${query}\`);`)
+      .join('\n');
+
+  return `// generated by pg-models on ${getTimestamp()}
+module.exports = {
+  async up(client) {
+${render(upQueries)}
+  },
+
+  async down(client) {
+${render(downQueries)}
+  },
+};
+`;
+}
+
+/**
+ * Runs versioned migrations from a directory and keeps record of them in the database.
+ * Migration files are named as `<version>_<name>.js` i.e. `0001_create_users.js`
+ * and export `up(client)` and `down(client)` async functions.
+ * Every migration runs in its own transaction, all operations run under an advisory lock
+ * so only one process migrates at a time.
+ * @example
+ * const Migrator = require('pg-models/migrations');
+ *
+ * const migrator = new Migrator({ connection: pool, directory: './migrations' });
+ *
+ * // write migration for the changes in the models
+ * await migrator.generate('add_age_to_users');
+ *
+ * await migrator.migrate();
+ * await migrator.rollback();
+ * console.table(await migrator.status());
+ */
+class Migrator {
+  #connection;
+  #directory;
+  #tableName;
+  #lockId;
+
+  /**
+   * Creates new migrator
+   * @param {Object} options Migrator options
+   * @param {PG_Client | PG_Pool} options.connection Connection to run migrations on
+   * @param {String} options.directory Directory of the migration files
+   * @param {String} options.tableName Name of the bookkeeping table, 'pgorm_migrations' by default
+   * @param {Number} options.lockId Key of the advisory lock
+   * @constructor
+   */
+  constructor(options = {}) {
+    verifyParamType(options, 'object', 'options', 'Migrator');
+    verifyParamType(options.directory, 'string', 'directory', 'Migrator');
+
+    if (!options.connection) {
+      throw new PgormError(`'connection' is required`, 'Migrator');
+    }
+
+    this.#connection = options.connection;
+    this.#directory = path.resolve(options.directory);
+    this.#tableName = options.tableName || 'pgorm_migrations';
+    this.#lockId = options.lockId || 7365426;
+  }
+
+  // runs fn holding the advisory lock, on a single client
+  async #withLock(fn) {
+    const pooled = isPool(this.#connection);
+    const client = pooled ? await this.#connection.connect() : this.#connection;
+
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [this.#lockId]);
+      try {
+        await client.query(
+          `CREATE TABLE IF NOT EXISTS ${this.#tableName} (
+            version INTEGER NOT NULL PRIMARY KEY,
+            name TEXT NOT NULL,
+            run_at TIMESTAMP NOT NULL DEFAULT NOW()
+          )`
+        );
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [this.#lockId]);
+      }
+    } finally {
+      if (pooled) client.release();
+    }
+  }
+
+  // reads migration files, sorted by version
+  #readFiles() {
+    if (!fs.existsSync(this.#directory)) return [];
+
+    return fs
+      .readdirSync(this.#directory)
+      .map((file) => /^(\d+)_(.+)\.js$/.exec(file))
+      .filter(Boolean)
+      .map(([file, version, name]) => ({
+        version: Number(version),
+        name,
+        file: path.join(this.#directory, file),
+      }))
+      .sort((a, b) => a.version - b.version);
+  }
+
+  // loads migration file and checks its exports
+  #load(migration, methodName) {
+    const { up, down } = require(migration.file);
+    if (typeof up !== 'function' || typeof down !== 'function') {
+      throw new PgormError(
+        `Migration ${migration.file} must export up and down functions`,
+        methodName
+      );
+    }
+    return { up, down };
+  }
+
+  async #applied(client) {
+    const { rows } = await client.query(
+      `SELECT version, name, run_at FROM ${this.#tableName} ORDER BY version`
+    );
+    return rows;
+  }
+
+  /**
+   * Runs all pending migrations in order of their versions
+   * @returns Array of migrations which ran
+   * @async
+   */
+  async migrate() {
+    return this.#withLock(async (client) => {
+      const applied = (await this.#applied(client)).map((m) => m.version);
+      const pending = this.#readFiles().filter(
+        (m) => !applied.includes(m.version)
+      );
+
+      for (const migration of pending) {
+        const { up } = this.#load(migration, 'migrate');
+        await PgormModel.transaction(
+          async () => {
+            await up(client);
+            await client.query(
+              `INSERT INTO ${this.#tableName} (version, name) VALUES ($1, $2)`,
+              [migration.version, migration.name]
+            );
+          },
+          { connection: client }
+        );
+      }
+
+      return pending;
+    });
+  }
+
+  /**
+   * Reverts the last ran migrations, newest first
+   * @param {Number} steps Number of migrations to revert, 1 by default
+   * @returns Array of reverted migrations
+   * @async
+   */
+  async rollback(steps = 1) {
+    verifyParamType(steps, 'number', 'steps', 'rollback');
+
+    return this.#withLock(async (client) => {
+      const files = this.#readFiles();
+      const toRevert = (await this.#applied(client)).reverse().slice(0, steps);
+
+      const reverted = [];
+      for (const { version } of toRevert) {
+        const migration = files.find((m) => m.version === version);
+        if (!migration) {
+          throw new PgormError(
+            `File of migration ${version} not found in ${this.#directory}`,
+            'rollback'
+          );
+        }
+
+        const { down } = this.#load(migration, 'rollback');
+        await PgormModel.transaction(
+          async () => {
+            await down(client);
+            await client.query(
+              `DELETE FROM ${this.#tableName} WHERE version=$1`,
+              [version]
+            );
+          },
+          { connection: client }
+        );
+        reverted.push(migration);
+      }
+
+      return reverted;
+    });
+  }
+
+  /**
+   * Gets status of all migrations, ran and pending
+   * @returns Array of migrations i.e. `[{ version, name, runAt, pending }]`
+   * @async
+   */
+  async status() {
+    return this.#withLock(async (client) => {
+      const applied = await this.#applied(client);
+      const files = this.#readFiles();
+
+      const versions = [
+        ...new Set([...files, ...applied].map((m) => m.version)),
+      ].sort((a, b) => a - b);
+
+      return versions.map((version) => {
+        const ran = applied.find((m) => m.version === version);
+        const file = files.find((m) => m.version === version);
+        return {
+          version,
+          name: file?.name || ran.name,
+          runAt: ran?.run_at || null,
+          pending: !ran,
+          missingFile: !file,
+        };
+      });
+    });
+  }
+
+  /**
+   * Compares columns of the defined models with the tables in database and
+   * writes a migration file for the differences.
+   * Detects new tables, added and dropped columns, type and nullability changes.
+   * Renamed columns can not be detected, provide them in `renames`.
+   * @param {String} name Name of the migration i.e. 'add_age_to_users'
+   * @param {Object} options Generation options
+   * @param {Array<PgormModel>} options.models Models to compare, all defined models by default
+   * @param {Object} options.renames Renamed columns by table i.e. `{ users: { name: 'fullname' } }`
+   * @returns Path of the written file, null if there are no changes
+   * @async
+   * @example
+   * await migrator.generate('rename_name_to_fullname', {
+   *   renames: { users: { name: 'fullname' } },
+   * });
+   */
+  async generate(name, options = {}) {
+    verifyParamType(name, 'string', 'name', 'generate');
+    verifyParamType(options, 'object', 'options', 'generate');
+
+    const models = (options.models || Object.values(PgormModel.models)).filter(
+      (model) => model.columns
+    );
+    const renames = options.renames || {};
+
+    const up = [];
+    const down = [];
+
+    for (const model of models) {
+      const table = model.tableName;
+      const columnsSchema = model.getColumnsSchema();
+
+      const { rows: tableColumns } = await this.#connection.query(
+        `SELECT column_name, data_type, character_maximum_length,
+          numeric_precision, numeric_scale, is_nullable
+        FROM information_schema.columns
+        WHERE table_schema=$1 AND table_name=$2`,
+        [model.tableSchema, table]
+      );
+
+      // new table
+      if (!tableColumns.length) {
+        up.push(model.getCreateTableQuery());
+        down.unshift(`DROP TABLE ${table}`);
+        continue;
+      }
+
+      const existing = Object.fromEntries(
+        tableColumns.map((col) => [col.column_name, col])
+      );
+
+      // renamed columns, they are compared like others afterwards
+      for (const [from, to] of Object.entries(renames[table] || {})) {
+        if (existing[from] && !existing[to]) {
+          up.push(`ALTER TABLE ${table} RENAME COLUMN ${from} TO ${to}`);
+          down.unshift(`ALTER TABLE ${table} RENAME COLUMN ${to} TO ${from}`);
+          existing[to] = existing[from];
+          delete existing[from];
+        }
+      }
+
+      for (const [col, schema] of Object.entries(columnsSchema)) {
+        const info = existing[col];
+
+        // added column
+        if (!info) {
+          up.push(`ALTER TABLE ${table} ADD COLUMN ${schema}`);
+          down.unshift(`ALTER TABLE ${table} DROP COLUMN ${col}`);
+          continue;
+        }
+
+        const { type, notNull } = parseColumnSchema(schema);
+        const newType = normalizeType(type);
+        const oldType = columnTypeFromInfo(info);
+
+        // changed type, serial can only be used in create table
+        if (newType && newType !== oldType && !/serial/i.test(type)) {
+          up.push(
+            `ALTER TABLE ${table} ALTER COLUMN ${col} TYPE ${type} USING ${col}::${type}`
+          );
+          down.unshift(
+            `ALTER TABLE ${table} ALTER COLUMN ${col} TYPE ${oldType} USING ${col}::${oldType}`
+          );
+        }
+
+        // changed nullability
+        const wasNotNull = info.is_nullable === 'NO';
+        if (notNull !== wasNotNull) {
+          const [upAction, downAction] = notNull
+            ? ['SET', 'DROP']
+            : ['DROP', 'SET'];
+          up.push(
+            `ALTER TABLE ${table} ALTER COLUMN ${col} ${upAction} NOT NULL`
+          );
+          down.unshift(
+            `ALTER TABLE ${table} ALTER COLUMN ${col} ${downAction} NOT NULL`
+          );
+        }
+      }
+
+      // dropped columns
+      for (const [col, info] of Object.entries(existing)) {
+        if (columnsSchema[col]) continue;
+        up.push(`ALTER TABLE ${table} DROP COLUMN ${col}`);
+        down.unshift(
+          `ALTER TABLE ${table} ADD COLUMN ${col} ${columnTypeFromInfo(info)}`
+        );
+      }
+    }
+
+    if (!up.length) return null;
+
+    // next version after the latest file
+    const files = this.#readFiles();
+    const version = (files.length ? files[files.length - 1].version : 0) + 1;
+    const file = path.join(
+      this.#directory,
+      `${String(version).padStart(4, '0')}_${name}.js`
+    );
+
+    fs.mkdirSync(this.#directory, { recursive: true });
+    fs.writeFileSync(file, renderMigration(up, down));
+
+    return file;
+  }
+}
+
+module.exports = Migrator;
+module.exports.parseColumnSchema = parseColumnSchema;
+module.exports.normalizeType = normalizeType;
+module.exports.columnTypeFromInfo = columnTypeFromInfo;
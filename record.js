@@ -0,0 +1,198 @@
+const { PgormError } = require('./errors');
+
+// values are compared by their content, dates by time and objects as JSON
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return false;
+}
+
+/**
+ * Record bound to its model, returned by the methods of models with `instances` option.
+ * Values of the record are its own properties i.e. `user.fullname`, methods are on the prototype.
+ * @example
+ * const Users = new PgormModel('users', { instances: true });
+ *
+ * const user = await Users.findById(12);
+ * user.fullname = 'Ali Hussain';
+ * user.changed(); // ['fullname']
+ * await user.save(); // updates fullname only
+ */
+class PgormRecord {
+  #model;
+  #keys; // keys of the record i.e. { pk: { id: 'id' }, columns: ['id', 'fullname'], hidden: ['password'], version: 'version' }
+  #persisted; // whether the record is saved in the table
+  #previous = {}; // values as last loaded or saved
+
+  /**
+   * Record of the model, use `model.build(values)` to create new records
+   * @param {PgormModel} model Model of the record
+   * @param {object} values Values of the record
+   * @param {object} options `keys` of the model, and `persisted` flag
+   */
+  constructor(model, values, { keys, persisted = false }) {
+    this.#model = model;
+    this.#keys = keys;
+    this.#persisted = persisted;
+    this.#assign(values);
+  }
+
+  // replaces the values of the record, and resets the changes
+  // columns missing in values i.e. hidden ones are removed, included associations are kept
+  #assign(values) {
+    for (const key of [...this.#keys.columns, ...this.#keys.hidden]) {
+      if (!(key in values)) delete this[key];
+    }
+    Object.assign(this, values);
+    this.#previous = { ...values };
+  }
+
+  // id of the record, object of key columns for composite primary keys
+  #id() {
+    const entries = Object.entries(this.#keys.pk);
+    if (entries.length === 1) return this[entries[0][1]];
+    return Object.fromEntries(entries.map(([col, key]) => [col, this[key]]));
+  }
+
+  // values of the given column keys, undefined values are left out
+  #valuesOf(keys) {
+    const values = {};
+    for (const key of keys) {
+      if (this[key] !== undefined) values[key] = this[key];
+    }
+    return values;
+  }
+
+  /**
+   * Whether the record is not saved in the table yet
+   * @returns boolean
+   */
+  isNewRecord() {
+    return !this.#persisted;
+  }
+
+  /**
+   * Changed columns since the record was loaded or saved. Hidden columns are not loaded,
+   * they are changed once they are set
+   * @param {string} key Column to check, all the changed columns are returned if not provided
+   * @returns Array of changed columns, or boolean if key is provided
+   * @example
+   * user.changed(); // ['fullname', 'age']
+   * user.changed('age'); // true
+   */
+  changed(key) {
+    if (key !== undefined) return !isEqual(this[key], this.#previous[key]);
+    return [
+      ...this.#keys.columns.filter(
+        (col) => !isEqual(this[col], this.#previous[col])
+      ),
+      ...this.#keys.hidden.filter((col) => this[col] !== undefined),
+    ];
+  }
+
+  /**
+   * Values of the record as loaded or saved, before the changes
+   * @param {string} key Column to get the value of, previous values of all the changed columns are returned if not provided
+   * @returns Previous value, or object of the previous values
+   * @example
+   * user.previous('fullname'); // 'Ali'
+   * user.previous(); // { fullname: 'Ali' }
+   */
+  previous(key) {
+    if (key !== undefined) return this.#previous[key];
+    return Object.fromEntries(
+      this.changed().map((col) => [col, this.#previous[col]])
+    );
+  }
+
+  /**
+   * Inserts the new record, or updates the changed columns of the saved record.
+   * Validations and hooks of `create` or `updateById` run as usual. With `version` option,
+   * version of the record is sent too, so it is updated only if not changed by others.
+   * @returns The record, with the values returned by the database
+   * @async
+   * @example
+   * const user = Users.build({ fullname: 'Ali' });
+   * await user.save(); // INSERT
+   * user.age = 23;
+   * await user.save(); // UPDATE users SET age=$1 ...
+   */
+  async save() {
+    if (!this.#persisted) {
+      // key columns which are not defined i.e. given string keys are sent too, if set
+      const created = await this.#model.create(
+        this.#valuesOf([
+          ...new Set([
+            ...Object.values(this.#keys.pk),
+            ...this.#keys.columns,
+            ...this.#keys.hidden,
+          ]),
+        ])
+      );
+      this.#persisted = true;
+      this.#assign({ ...created });
+      return this;
+    }
+
+    const changes = this.changed();
+    if (!changes.length) return this;
+
+    const { version } = this.#keys;
+    const values = this.#valuesOf(changes);
+    if (version && this[version] !== undefined) values[version] = this[version];
+
+    const updated = await this.#model.updateById(this.#id(), values);
+    if (!updated) {
+      throw new PgormError(
+        `Record of ${this.#model.modelName} not found`,
+        'save'
+      );
+    }
+    this.#assign({ ...updated });
+    return this;
+  }
+
+  /**
+   * Loads the values of the record from the table again, unsaved changes are discarded
+   * @returns The record
+   * @async
+   */
+  async reload() {
+    const record = await this.#model.findById(this.#id());
+    if (!record) {
+      throw new PgormError(
+        `Record of ${this.#model.modelName} not found`,
+        'reload'
+      );
+    }
+    this.#assign({ ...record });
+    return this;
+  }
+
+  /**
+   * Deletes the record, soft deletes in paranoid models
+   * @returns boolean, whether the record was deleted or not
+   * @async
+   */
+  async destroy() {
+    if (!this.#persisted) return false;
+    const deleted = await this.#model.deleteById(this.#id());
+    if (deleted) this.#persisted = false;
+    return deleted;
+  }
+
+  /**
+   * Values of the record as a plain object, used by `JSON.stringify`
+   * @returns object
+   */
+  toJSON() {
+    return { ...this };
+  }
+}
+
+module.exports = PgormRecord;
@@ -0,0 +1,250 @@
+/**
+ * Test support for the models, a fake client to use instead of `pg.Client` in unit tests.
+ * It records every query, returns scripted rows and simulates the information_schema lookups
+ * of `define`, `sync` and `addForeignKey` (created tables, columns, constraints and indexes are tracked),
+ * so models work without a running database.
+ * @example
+ * const PgormModel = require('pg-models');
+ * const { FakeClient } = require('pg-models/testing');
+ *
+ * const client = new FakeClient();
+ * PgormModel.useConnection(client);
+ *
+ * client.when(/^INSERT INTO users/, [{ id: 1, email: 'ali@acme.com' }]);
+ * const user = await Users.create({ email: 'ali@acme.com' });
+ *
+ * client.queries; // [..., { text: 'INSERT INTO users (email) VALUES ($1) RETURNING *', params: ['ali@acme.com'] }]
+ */
+
+// statements of the transactions, which always succeed
+const transactionRegex = /^(BEGIN|COMMIT|ROLLBACK|SAVEPOINT|RELEASE)\b/i;
+
+// collapses whitespace of the query, so it can be matched and compared easily
+const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+
+// value of the quoted condition in the query i.e. table_name='users'
+const conditionValue = (text, name) =>
+  new RegExp(`${name}\\s*=\\s*'([^']*)'`, 'i').exec(text)?.[1];
+
+// splits the column definitions of CREATE TABLE by the commas outside parentheses
+function splitDefinitions(definitions) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of definitions) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+// definitions which are table constraints, not columns
+const constraintRegex = /^(PRIMARY KEY|UNIQUE|CHECK|FOREIGN KEY|CONSTRAINT)\b/i;
+
+// converts the scripted result to the result of the query, like pg does
+function toResult(result) {
+  if (Array.isArray(result)) return { rows: result, rowCount: result.length };
+  return { rows: [], rowCount: result.rows?.length || 0, ...result };
+}
+
+class FakeClient {
+  /**
+   * Fake client, recording the queries in `queries`
+   * @param {object} options Options i.e. `{ tables }`, existing tables with their columns
+   * i.e. `{ users: ['id', 'email'] }`. Column can be an object of information_schema.columns
+   * i.e. `{ column_name: 'email', data_type: 'character varying' }`
+   */
+  constructor(options = {}) {
+    this.queries = [];
+    this.tables = {};
+    this.constraints = new Set();
+    this.indexes = new Set();
+    this.scripts = [];
+
+    for (const [table, columns] of Object.entries(options.tables || {})) {
+      this.tables[table] = columns.map((col) =>
+        typeof col === 'string' ? { column_name: col } : col
+      );
+    }
+  }
+
+  /**
+   * Last recorded query
+   */
+  get lastQuery() {
+    return this.queries[this.queries.length - 1];
+  }
+
+  /**
+   * Scripts the result of the matching queries, latest matching script is used
+   * @param {string | RegExp | Function} matcher Part of the query, regex or function `(text, params) => boolean`.
+   * Query text is matched with its whitespace collapsed
+   * @param {Array | object | Function | Error} result Rows, result i.e. `{ rows, rowCount }`,
+   * function `(text, params) => rows or result` or error to throw
+   * @param {object} options `{ once: true }` to use the script for the next matching query only
+   * @returns The client, for chaining
+   * @example
+   * client.when('FROM users', [{ id: 1 }]);
+   * client.when(/^INSERT/, (text, params) => [{ id: 2, email: params[0] }]);
+   * client.when(/^UPDATE/, Object.assign(new Error('duplicate'), { code: '23505' }), { once: true });
+   */
+  when(matcher, result, options = {}) {
+    this.scripts.push({ matcher, result, once: Boolean(options.once) });
+    return this;
+  }
+
+  /**
+   * Clears the recorded queries and scripted results, tables are kept
+   */
+  reset() {
+    this.queries = [];
+    this.scripts = [];
+  }
+
+  /**
+   * Records the query and returns its scripted result, or simulated result of the schema queries.
+   * Query config `{ text, values }` and callback are supported like pg
+   * @param {string | object} text Query text or config
+   * @param {Array} params Query params
+   * @returns Result i.e. `{ rows, rowCount }`
+   * @async
+   */
+  query(text, params, callback) {
+    if (typeof params === 'function') [params, callback] = [undefined, params];
+    if (typeof text === 'object') [text, params] = [text.text, text.values];
+
+    const query = { text: normalize(text), params: params || [] };
+    this.queries.push(query);
+
+    const promise = this.#run(query);
+    if (!callback) return promise;
+    promise.then((result) => callback(null, result), callback);
+    return undefined;
+  }
+
+  /**
+   * Does nothing, so the client can be used where pool clients are released
+   */
+  release() {}
+
+  /**
+   * Does nothing, like ending a real client
+   * @async
+   */
+  async end() {}
+
+  async #run({ text, params }) {
+    const script = this.#findScript(text, params);
+    if (script) {
+      if (script.once) this.scripts.splice(this.scripts.indexOf(script), 1);
+
+      let { result } = script;
+      if (result instanceof Error) throw result;
+      if (typeof result === 'function') result = await result(text, params);
+      return toResult(result || []);
+    }
+    return toResult(this.#simulate(text, params));
+  }
+
+  // latest script matching the query
+  #findScript(text, params) {
+    for (let i = this.scripts.length - 1; i >= 0; i--) {
+      const { matcher } = this.scripts[i];
+      const matched =
+        typeof matcher === 'function'
+          ? matcher(text, params)
+          : matcher instanceof RegExp
+          ? matcher.test(text)
+          : text.includes(normalize(matcher));
+      if (matched) return this.scripts[i];
+    }
+    return null;
+  }
+
+  // results of the schema queries, empty result for others
+  #simulate(text, params) {
+    if (transactionRegex.test(text)) return [];
+
+    const createTable =
+      /^CREATE TABLE (?:IF NOT EXISTS )?"?([\w.]+)"? \((.*)\);?$/i.exec(text);
+    if (createTable) {
+      const [, table, definitions] = createTable;
+      if (!this.tables[table]) {
+        this.tables[table] = splitDefinitions(definitions)
+          .filter((def) => !constraintRegex.test(def))
+          .map((def) => ({ column_name: def.split(' ')[0].replace(/"/g, '') }));
+      }
+      return [];
+    }
+
+    const createIndex =
+      /^CREATE (?:UNIQUE )?INDEX (?:CONCURRENTLY )?(?:IF NOT EXISTS )?"?(\w+)"? ON "?([\w.]+)"?/i.exec(
+        text
+      );
+    if (createIndex) {
+      this.indexes.add(`${createIndex[2]}.${createIndex[1]}`);
+      return [];
+    }
+
+    const alterTable = /^ALTER TABLE "?([\w.]+)"? (.*)$/i.exec(text);
+    if (alterTable) {
+      const [, table, actions] = alterTable;
+      const columns = this.tables[table] || (this.tables[table] = []);
+      for (const action of splitDefinitions(actions)) {
+        const column = /^ADD COLUMN (?:IF NOT EXISTS )?"?(\w+)"?/i.exec(action);
+        const constraint = /^ADD CONSTRAINT "?(\w+)"?/i.exec(action);
+        if (column && !columns.some((col) => col.column_name === column[1])) {
+          columns.push({ column_name: column[1] });
+        }
+        if (constraint) this.constraints.add(`${table}.${constraint[1]}`);
+      }
+      return [];
+    }
+
+    // columns of the table, table name is quoted or in params
+    if (/FROM information_schema\.columns/i.test(text)) {
+      const table = conditionValue(text, 'table_name') || params[1];
+      const columns = this.tables[table] || [];
+      const column = conditionValue(text, 'column_name');
+
+      if (/^SELECT EXISTS/i.test(text)) {
+        return [{ exists: columns.some((col) => col.column_name === column) }];
+      }
+      return columns;
+    }
+
+    const dropIndex =
+      /^DROP INDEX (?:CONCURRENTLY )?(?:IF EXISTS )?"?([\w.]+)"?/i.exec(text);
+    if (dropIndex) {
+      const name = dropIndex[1].split('.').pop();
+      for (const index of this.indexes) {
+        if (index.endsWith(`.${name}`)) this.indexes.delete(index);
+      }
+      return [];
+    }
+
+    // created indexes are valid, table and index names are in t.relname and c.relname
+    if (/FROM pg_catalog\.pg_index\b/i.test(text)) {
+      const table = conditionValue(text, 't\\.relname');
+      const index = conditionValue(text, 'c\\.relname');
+      return this.indexes.has(`${table}.${index}`) ? [{ valid: true }] : [];
+    }
+
+    if (/FROM information_schema\.table_constraints/i.test(text)) {
+      const table = conditionValue(text, 'table_name');
+      const constraint = conditionValue(text, 'constraint_name');
+      return [{ exists: this.constraints.has(`${table}.${constraint}`) }];
+    }
+
+    return [];
+  }
+}
+
+module.exports.FakeClient = FakeClient;
@@ -1,3 +1,4 @@
+const { AsyncResource } = require('async_hooks');
 const { PgormError } = require('./errors');
 
 const typeErrors = {
@@ -12,11 +13,53 @@ const typeErrors = {
 module.exports.getTimestamp = () =>
   new Date().toISOString().slice(0, 19).replace('T', ' ');
 
+// snake_case to camelCase i.e. created_at => createdAt
+module.exports.toCamelCase = (name) =>
+  name.replace(/_+([a-z0-9])/g, (_, char) => char.toUpperCase());
+
 module.exports.isArray = (param) => {
   if (typeof param === 'object' && param.length) return true;
   return false;
 };
 
+// pg.Pool has client counters, pg.Client doesn't
+module.exports.isPool = (connection) =>
+  typeof connection?.connect === 'function' &&
+  typeof connection?.totalCount === 'number';
+
+// object that forwards everything to the client returned by getClient at the time of access,
+// except the props of overrides
+module.exports.createClientProxy = (getClient, overrides = {}) =>
+  new Proxy(
+    {},
+    {
+      get(_, prop) {
+        if (prop in overrides) return overrides[prop];
+        const client = getClient();
+        const val = client?.[prop];
+        return typeof val === 'function' ? val.bind(client) : val;
+      },
+    }
+  );
+
+// async iterator which runs in the async context of its creator, even if consumed elsewhere,
+// so the running transaction and scopes of the caller apply to it
+module.exports.bindAsyncIterator = (iterator) => {
+  const resource = new AsyncResource('PgormIterator');
+  const bind =
+    (method) =>
+    (...args) =>
+      resource.runInAsyncScope(iterator[method], iterator, ...args);
+  return {
+    next: bind('next'),
+    return: bind('return'),
+    throw: bind('throw'),
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+};
+
 module.exports.verifyParamType = (paramVal, type, paramName, methodName) => {
   if (typeof paramVal !== type)
     throw new PgormError(`'${paramName}' ${typeErrors[type]}`, methodName);
@@ -0,0 +1,146 @@
+/**
+ * Reusable validators for `validations` array of the columns.
+ * Every function returns a validator, which throws an error with the message on failure.
+ * Validators except `required` skip null and undefined values.
+ * @example
+ * const { validators } = require('pg-models');
+ * // or
+ * const validators = require('pg-models/validators');
+ *
+ * Users.define({
+ *   email: {
+ *     schema: 'email VARCHAR(255) NOT NULL',
+ *     validations: [validators.required(), validators.isEmail(), validators.unique()],
+ *   },
+ *   age: {
+ *     schema: 'age INT',
+ *     validations: [validators.range(18, 60, 'age must be between 18 and 60')],
+ *   },
+ * });
+ */
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isEmpty = (val) => val === undefined || val === null;
+
+/**
+ * Value must be provided, empty string is not allowed
+ * @param {string} message Custom error message
+ */
+module.exports.required = (message) => (val, col) => {
+  if (isEmpty(val) || val === '') {
+    throw new Error(message || `${col} is required`);
+  }
+};
+
+/**
+ * Value must have at least min length, for strings and arrays
+ * @param {number} min Minimum length
+ * @param {string} message Custom error message
+ */
+module.exports.minLength = (min, message) => (val, col) => {
+  if (isEmpty(val)) return;
+  if (val.length < min) {
+    throw new Error(message || `${col} can not be less than ${min} characters`);
+  }
+};
+
+/**
+ * Value must have at most max length, for strings and arrays
+ * @param {number} max Maximum length
+ * @param {string} message Custom error message
+ */
+module.exports.maxLength = (max, message) => (val, col) => {
+  if (isEmpty(val)) return;
+  if (val.length > max) {
+    throw new Error(message || `${col} can not be more than ${max} characters`);
+  }
+};
+
+/**
+ * Value must be a valid email address
+ * @param {string} message Custom error message
+ */
+module.exports.isEmail = (message) => (val, col) => {
+  if (isEmpty(val)) return;
+  if (typeof val !== 'string' || !emailRegex.test(val)) {
+    throw new Error(message || `${col} must be a valid email`);
+  }
+};
+
+/**
+ * Value must be one of the allowed values
+ * @param {Array} allowed Allowed values
+ * @param {string} message Custom error message
+ */
+module.exports.isIn = (allowed, message) => (val, col) => {
+  if (isEmpty(val)) return;
+  if (!allowed.includes(val)) {
+    throw new Error(message || `${col} must be one of ${allowed.join(', ')}`);
+  }
+};
+
+/**
+ * Value must be a number within min and max, both inclusive.
+ * Pass null (or leave out max) to skip min or max.
+ * @param {number} min Minimum value
+ * @param {number} max Maximum value
+ * @param {string} message Custom error message
+ */
+module.exports.range = (min, max, message) => (val, col) => {
+  if (isEmpty(val)) return;
+  const num = Number(val);
+  if (
+    Number.isNaN(num) ||
+    (min != null && num < min) ||
+    (max != null && num > max)
+  ) {
+    throw new Error(
+      message ||
+        `${col} must be a number${min != null ? ` from ${min}` : ''}${
+          max != null ? ` up to ${max}` : ''
+        }`
+    );
+  }
+};
+
+/**
+ * Value must match the pattern, `g` and `y` flags are ignored
+ * @param {RegExp} pattern Regular expression to test the value
+ * @param {string} message Custom error message
+ */
+module.exports.regex = (pattern, message) => {
+  // global and sticky patterns continue from lastIndex, same value would fail every other time
+  const regex = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+
+  return (val, col) => {
+    if (isEmpty(val)) return;
+    if (!regex.test(String(val))) {
+      throw new Error(message || `${col} is not in valid format`);
+    }
+  };
+};
+
+/**
+ * Value must not exist in the column already. Runs a query on the primary connection of the model
+ * being validated, without hooks and scopes. The records being updated (by updateById or the where
+ * object of updateWhere) are excluded.
+ * @param {string} message Custom error message
+ */
+module.exports.unique = (message) => async (val, col, values, context) => {
+  if (isEmpty(val)) return;
+
+  const { model, id, where: updateWhere, exists } = context;
+  const where = { [col]: val };
+  if (id !== undefined) {
+    // id is an object of key columns for composite primary keys
+    where.not = Array.isArray(model.pkName) ? id : { [model.pkName]: id };
+  } else if (updateWhere) {
+    where.not = updateWhere;
+  }
+
+  // soft deleted and out of scope records still hold the value in the table
+  if (await exists(where)) {
+    throw new Error(message || `${col} already exists`);
+  }
+};
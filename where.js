@@ -0,0 +1,186 @@
+const { PgormError } = require('./errors');
+
+// comparison operators, mapped to their SQL counterparts
+const comparisonOperators = {
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  notLike: 'NOT LIKE',
+  ilike: 'ILIKE',
+  notIlike: 'NOT ILIKE',
+};
+
+// keys which combine nested where objects instead of naming a column
+const logicalKeys = ['and', 'or', 'not'];
+
+const isPlainObject = (val) =>
+  val !== null &&
+  typeof val === 'object' &&
+  !Array.isArray(val) &&
+  !(val instanceof Date) &&
+  !Buffer.isBuffer(val);
+
+// pushes value in params and returns its placeholder i.e. $3
+const addParam = (params, val) => {
+  params.push(val);
+  return '$' + params.length;
+};
+
+// builds condition for a single operator applied on a column
+function buildOperator(column, operator, val, params, methodName) {
+  if (comparisonOperators[operator]) {
+    // col = null is never true, use IS NULL instead
+    if (val === null && operator === 'eq') return `${column} IS NULL`;
+    if (val === null && operator === 'ne') return `${column} IS NOT NULL`;
+
+    return `${column} ${comparisonOperators[operator]} ${addParam(
+      params,
+      val
+    )}`;
+  }
+
+  switch (operator) {
+    case 'in':
+    case 'notIn':
+      if (!Array.isArray(val)) {
+        throw new PgormError(
+          `'${operator}' operator on ${column} requires an array`,
+          methodName
+        );
+      }
+      // empty list matches nothing for 'in' and everything for 'notIn'
+      if (!val.length) return operator === 'in' ? 'FALSE' : 'TRUE';
+      return operator === 'in'
+        ? `${column} = ANY(${addParam(params, val)})`
+        : `${column} <> ALL(${addParam(params, val)})`;
+    case 'between':
+    case 'notBetween':
+      if (!Array.isArray(val) || val.length !== 2) {
+        throw new PgormError(
+          `'${operator}' operator on ${column} requires an array of two values`,
+          methodName
+        );
+      }
+      return `${column} ${
+        operator === 'between' ? '' : 'NOT '
+      }BETWEEN ${addParam(params, val[0])} AND ${addParam(params, val[1])}`;
+    case 'is':
+      // only literals are allowed here, so they are not parameterized
+      if (val === null) return `${column} IS NULL`;
+      if (val === true) return `${column} IS TRUE`;
+      if (val === false) return `${column} IS FALSE`;
+      break;
+    case 'isNot':
+      if (val === null) return `${column} IS NOT NULL`;
+      if (val === true) return `${column} IS NOT TRUE`;
+      if (val === false) return `${column} IS NOT FALSE`;
+      break;
+    default:
+      throw new PgormError(
+        `Invalid operator '${operator}' on ${column}`,
+        methodName
+      );
+  }
+
+  throw new PgormError(
+    `'${operator}' operator on ${column} accepts only null, true or false`,
+    methodName
+  );
+}
+
+// builds condition(s) for a column
+function buildColumn(column, val, params, methodName) {
+  // { col: null } => col IS NULL
+  if (val === null) return `${column} IS NULL`;
+  // { col: [1,2] } => col = ANY($1)
+  if (Array.isArray(val))
+    return buildOperator(column, 'in', val, params, methodName);
+  // { col: 1 } => col = $1
+  if (!isPlainObject(val)) return `${column} = ${addParam(params, val)}`;
+
+  // { col: { gte: 1, lt: 5 } } => col >= $1 AND col < $2
+  const conditions = Object.entries(val).map(([operator, opVal]) =>
+    buildOperator(column, operator, opVal, params, methodName)
+  );
+
+  if (!conditions.length) {
+    throw new PgormError(`No operator provided for ${column}`, methodName);
+  }
+  return conditions.join(' AND ');
+}
+
+// builds conditions of a where object, joined with 'AND'
+function buildConditions(where, columns, params, methodName) {
+  if (!isPlainObject(where)) {
+    throw new PgormError(`'where' Must be a object`, methodName);
+  }
+
+  const conditions = [];
+
+  for (const [key, val] of Object.entries(where)) {
+    // skip undefined, so optional filters can be passed directly
+    if (val === undefined) continue;
+
+    if (logicalKeys.includes(key)) {
+      conditions.push(buildLogical(key, val, columns, params, methodName));
+      continue;
+    }
+
+    // check if column is in allowed columns, object maps names to SQL expressions
+    const column = Array.isArray(columns)
+      ? columns.includes(key) && key
+      : Object.prototype.hasOwnProperty.call(columns, key) && columns[key];
+    if (!column) {
+      throw new PgormError(`Invalid column name '${key}'`, methodName);
+    }
+
+    conditions.push(`(${buildColumn(column, val, params, methodName)})`);
+  }
+
+  return conditions.join(' AND ');
+}
+
+// builds 'and', 'or' and 'not' groups
+function buildLogical(key, val, columns, params, methodName) {
+  if (key === 'not') {
+    const condition = buildConditions(val, columns, params, methodName);
+    return condition ? `NOT (${condition})` : 'TRUE';
+  }
+
+  // and/or accept an array of where objects, or a single where object
+  const groups = Array.isArray(val)
+    ? val
+    : Object.entries(val || {}).map(([k, v]) => ({ [k]: v }));
+
+  const conditions = groups
+    .map((group) => buildConditions(group, columns, params, methodName))
+    .filter((condition) => condition !== '')
+    .map((condition) => `(${condition})`);
+
+  // empty 'or' matches nothing, empty 'and' matches everything
+  if (!conditions.length) return key === 'or' ? 'FALSE' : 'TRUE';
+
+  return `(${conditions.join(key === 'or' ? ' OR ' : ' AND ')})`;
+}
+
+/**
+ * Builds parameterized conditions from a where object.
+ * Placeholders continue from the length of `params`, which is filled with the values.
+ * @param {object} where Where object i.e. `{ age: { gte: 20 }, or: [{..}, {..}] }`
+ * @param {Array<string> | object} columns Allowed column names, or an object of allowed names
+ * mapped to their SQL expressions i.e. `{ total: 'COUNT(*)' }`
+ * @param {Array} params Array to push the values in
+ * @param {string} methodName Name of the calling method, for errors
+ * @returns Conditions string (without 'WHERE'), empty string if there are no conditions
+ */
+function buildWhere(where, columns, params = [], methodName = 'buildWhere') {
+  if (where === undefined || where === null) return '';
+  return buildConditions(where, columns, params, methodName);
+}
+
+module.exports.buildWhere = buildWhere;
+module.exports.isPlainObject = isPlainObject;